@@ -14,13 +14,13 @@
  * 
  * @description
  * This file contains the settings manager class for valk.cam.
- * This class handles the initialization of the settings upon page load, setting and getting settings, saving and loading the settings to local storage, and generating and handling the settings UI.
+ * This class handles the initialization of the settings upon page load, setting and getting settings, saving and loading the settings to a storage backend (local storage by default), and generating and handling the settings UI.
  * 
  * @requires settings-list.js - Settings Configuration File (contains the setting objects)
+ * @requires settings-template-manager.js - Optional. Settings Template Manager (renders the settings UI through templates)
  * 
  * @todo
  * - Make this class more platform agnostic (medium priority)
- * - Add support for templates for the settings UI elements (medium priority)
  * - Add support for toggleable settings sections to show and hide multiple settings at once in the settings UI (e.g. "Graphics Settings" and "UI Settings") (medium priority)
  * - Add support for toggle inputs for the settings UI to complement the cycle type inputs (medium priority)
  * - Add support for text field inputs for the settings UI (low priority)
@@ -43,10 +43,10 @@
  * settingsManager.set("setting-name", {v: "value"});
  */
 
-// A class for managing settings in localStorage and a global object called "Settings" for settings.
-// The settings are stored in localStorage and are updated when the user changes a setting.
+// A class for managing settings in a storage backend (localStorage by default) and a global object called "Settings" for settings.
+// The settings are stored in the storage backend and are updated when the user changes a setting.
 // The global object is updated when the user changes a setting.
-// The settings will be set to the default value if they are not set in localStorage.
+// The settings will be set to the default value if they are not set in the storage backend.
 // The default values are also contained in the global object "Settings".
 // The global object also contains functions that are executed when the user changes a setting based on the setting value.
 
@@ -57,20 +57,86 @@
  */
  class SettingsManager {
 	#settings = {}; // Will contain the settings object.
+	#meta = {}; // Will contain the metadata entries of the settings list, which are the entries whose keys start with "$" (e.g. "$version" and "$migrations").
+	#sections = {}; // Will contain the sections the settings are grouped into, normalized from the "$sections" metadata entry.
+	#migrated = false; // Whether the stored values have been migrated to the current schema version yet.
+	#implicitDefaults = new Set(); // Will contain the settings whose default value is the default of their type, as they did not define one.
 	#defaults = {}; // Will contain the settings object as it is initially created, and will be frozen to prevent any modifications.
 	#container = { // Will contain the HTMLelement to insert the settings buttons into.
 		element: null,
 		original: null,
 		isPresent: false,
 		observer: null,
+		hydrate: false, // Whether the container already contains the settings UI markup, which is hydrated instead of inserting newly generated elements.
+	};
+	#storage = null; // Will contain the storage adapter used to save and load the settings values.
+	#templates = null; // Will contain the SettingsTemplateManager the settings UI is rendered through, if any.
+	#namespace = ""; // Will contain the namespace that scopes the keys this instance stores its settings values under.
+	#listeners = {}; // Will contain the event listeners registered with on() and once(), keyed by event name.
+	#committed = {}; // Will contain the last serialized value committed by this instance for each setting, used to detect changes.
+	#overrides = null; // Will contain the serialized values getSetting returns instead of the stored values while the settings UI is rendered with renderToString.
+	#sync = { // Will contain the state of the cross-tab synchronization.
+		mode: null,
+		channel: null,
+		handler: null,
+	};
+	#capture = { // Will contain the state of the key combination capture mode of keybinding settings.
+		button: null,
+		handler: null,
+	};
+
+	// The built-in value types a setting can declare with its "valueType" property, each with a codec to serialize its values for storage and option keys.
+	static #codecs = {
+		string: { encode: (value) => String(value), decode: (value) => value },
+		number: { encode: (value) => String(value), decode: (value) => Number(value) },
+		boolean: { encode: (value) => String(value), decode: (value) => { if (value !== "true" && value !== "false") throw new TypeError(`'${value}' is not a boolean.`); return value === "true"; } },
+		json: { encode: (value) => JSON.stringify(value), decode: (value) => JSON.parse(value) },
+	};
+
+	// The setting types that can be used as a setting's "type", each determining how the setting's values are validated and what kind of UI is generated for the setting.
+	// Filled by registerType(), the built-in types are registered in the static block under "Setting type functions".
+	static #types = {};
+
+	// The ISO formats the values of the "date", "time" and "datetime" setting types are stored in, matching the values of their native inputs.
+	static #dateFormats = {
+		date: /^(?<year>\d{4})-(?<month>\d{2})-(?<day>\d{2})$/,
+		time: /^(?<hours>\d{2}):(?<minutes>\d{2})$/,
+		datetime: /^(?<year>\d{4})-(?<month>\d{2})-(?<day>\d{2})T(?<hours>\d{2}):(?<minutes>\d{2})$/,
+	};
+
+	// The modifier keys of keybinding settings in the order they are written in, mapped from the names they can also be written as.
+	static #modifiers = { ctrl: "Ctrl", control: "Ctrl", alt: "Alt", option: "Alt", shift: "Shift", meta: "Meta", cmd: "Meta", command: "Meta" };
+
+	// The key combinations keybinding settings reject, as the browser or operating system handles them before the page can.
+	static #reservedKeybindings = ["Ctrl+W", "Ctrl+T", "Ctrl+N", "Ctrl+Shift+N", "Ctrl+Shift+T", "Ctrl+Tab", "Ctrl+Shift+Tab", "Alt+F4", "Meta+W", "Meta+T", "Meta+N", "Meta+Q"];
+
+	// The URL of the default stylesheet injected with the "stylesheet" parameter, settings-manager.css next to this script.
+	static #stylesheetURL = (typeof document !== "undefined" && document.currentScript && document.currentScript.src) ? new URL("settings-manager.css", document.currentScript.src).href : "settings-manager.css";
+
+	// The classes the states of the settings UI are marked with, the template manager can add classes of its own to each state (e.g. those of a CSS library).
+	// "open" and "closed" mark a div.SubMenu, "active" the button.TopButton of the open div.SubMenu, "selected" the button.SubButton of a selected option,
+	// "checked" the button.TopButton of a setting that is switched on (its aria-checked attribute, e.g. of a boolean setting) and "error" the span of a button.TopButton whose value could not be applied.
+	static #stateClasses = { open: ["open"], closed: [], active: ["active"], selected: ["Active"], checked: [], error: ["error"] };
+
+	// The legacy single-letter keys of the settings list format, mapped from the descriptive keys they are normalized into.
+	static #legacyKeys = {
+		setting: { key: "s", label: "d.name", description: "d.description", type: "d.type", default: "v", valueType: "t", attributes: "a", onInit: "i", options: "o" },
+		option: { label: "s", onSelect: "f", disabled: "d", hidden: "h" },
 	};
 
 	/**
 	 * @constructor
-	 * @param {Object} parameters.settings - The settings to be stored in localStorage.
+	 * @param {Object} parameters.settings - The settings to be stored in the storage backend.
 	 * @param {HTMLElement} parameters.container - The DOM element to insert the settings buttons into.
 	 * @param {Boolean} parameters.DOM - Optional - Defaults to TRUE. Whether or not to insert the settings buttons into the DOM on initialization.
+	 * @param {Boolean} parameters.hydrate - Optional - Defaults to FALSE. Whether the container already contains the settings UI markup (e.g. rendered on a server with renderToString), which is made interactive with hydrate() instead of inserting newly generated elements.
 	 * @param {Boolean} parameters.init - Optional - Defaults to TRUE. Whether or not to initialize the settings on initialization.
+	 * @param {SettingsStorage|String} parameters.storage - Optional - Defaults to "local". The storage adapter to save and load the settings values with, or the name of a built-in adapter ("local", "session", "cookie" or "memory").
+	 * @param {String} parameters.namespace - Optional. A namespace to prefix every stored key with (e.g. "myApp" stores "setting1" as "myApp:setting1"), so multiple instances or libraries on one origin don't clobber each other. Also accepted as "prefix".
+	 * @param {Boolean|String} parameters.sync - Optional - Defaults to FALSE. Whether to synchronize setting changes with other open tabs. TRUE picks "storage" events for localStorage and a "broadcast" BroadcastChannel for any other storage adapter, either can also be chosen explicitly.
+	 * @param {Boolean} parameters.strict - Optional - Defaults to FALSE. Whether to throw an error if the settings list contains invalid settings. If FALSE, the invalid settings are logged and skipped while the rest of the settings are used.
+	 * @param {SettingsTemplateManager|Object|String} parameters.templates - Optional. The template manager to render the settings UI through, an object of templates to create one with, or the name of a preset to create one with (e.g. "bootstrap", see settings-template-manager.js). The built-in markup is used for any element without a template.
+	 * @param {Boolean|String} parameters.stylesheet - Optional - Defaults to FALSE. Whether to inject the default stylesheet (settings-manager.css next to settings-manager.js) into the page, or the URL of the stylesheet to inject instead.
 	 * 
 	 * // Create a new Settings object.
 	 * var settings = new Settings({
@@ -78,28 +144,76 @@
 	 * container: document.getElementById("settings-container"),
 	 * DOM: true,
 	 * init: true,
+	 * storage: new SettingsCookieStorage({path: "/", expires: 365, sameSite: "Lax"}),
+	 * namespace: "myApp",
 	 * });
 	 */
 	constructor(parameters = {"DOM": true, "init": true}) {
 		if(parameters.DOM === undefined) parameters.DOM = true;
 		if(parameters.init === undefined) parameters.init = true;
 
-		// Copy the provided settings into the settings object.
-		this.#settings = parameters.settings || console.error("SETTINGS: No settings provided.");
+		// Copy the provided settings into the settings object, separating the metadata entries (keys starting with "$") from the settings themselves.
+		// Every setting is normalized into the descriptive schema, so settings using the legacy single-letter keys keep working.
+		var list = parameters.settings || console.error("SETTINGS: No settings provided.") || {};
+		for (var key in list) {
+			if (key.startsWith("$")) {
+				this.#meta[key] = list[key];
+			} else {
+				this.#settings[key] = this.#normalizeSetting(key, list[key]);
+			}
+		}
+		this.#sections = this.#normalizeSections(this.#meta["$sections"]);
+
+		// Validate the settings definitions, throwing in strict mode or skipping the invalid settings otherwise.
+		this.#validateDefinition(parameters.strict === true);
 
 		// duplicate the settings object and add it to the defaults object before any modifications are made to the original settings object.
 		this.#defaults = this.#settings;
 		Object.freeze(this.#defaults);
+
+		// Set the storage adapter that the settings values will be saved to and loaded from.
+		this.#storage = this.#resolveStorage(parameters.storage);
+		this.#namespace = parameters.namespace || parameters.prefix || "";
+
+		// Set the template manager that the settings UI will be rendered through, a plain object of templates or the name of a preset is wrapped in one.
+		if (parameters.templates !== undefined && parameters.templates !== null) {
+			if (typeof parameters.templates.renderElement === "function") {
+				this.#templates = parameters.templates;
+			} else if (SettingsManager.#templateManagerClass() !== null) {
+				var TemplateManager = SettingsManager.#templateManagerClass();
+				this.#templates = (typeof parameters.templates === "string") ? new TemplateManager({}, {preset: parameters.templates}) : new TemplateManager(parameters.templates);
+			} else {
+				console.error(`SETTINGS: Could not use the provided templates, settings-template-manager.js is not loaded. The built-in markup will be used instead.`);
+			}
+		}
+
+		// Start synchronizing setting changes with other open tabs if requested.
+		if (parameters.sync) {
+			this.startSync(parameters.sync);
+		}
 		
+		// Without a DOM (e.g. on a server), there is no container to insert the settings into and the settings are not initialized, as their functions act on the page.
+		// The settings UI can still be rendered with renderToString.
+		if (typeof document === "undefined") {
+			console.debug(`SETTINGS: No DOM is available, the settings UI can only be rendered with renderToString().`);
+			return;
+		}
+
+		// Inject the default stylesheet, or the given one, into the page if requested.
+		if (parameters.stylesheet) {
+			SettingsManager.injectStylesheet((typeof parameters.stylesheet === "string") ? parameters.stylesheet : undefined);
+		}
+
 		// set container to the element that the settings will be inserted into.
 		this.#container.original = parameters.container; 
 		this.#container.element = this.#resolveElement(parameters.container); 
+		this.#container.hydrate = parameters.hydrate === true;
 
 		// If the container element is present at execution, insert the settings buttons into the DOM and initialize the settings.
 		if(this.#container.isPresent) {
-			// Insert the settings into the container.
+			// Insert the settings into the container, or hydrate the settings UI already in it.
 			if (parameters.DOM === true) {
-				this.insertDOM(this.#container.element);
+				(this.#container.hydrate) ? this.hydrate(this.#container.element) : this.insertDOM(this.#container.element);
 			}
 
 			// Initialize the settings
@@ -121,9 +235,9 @@
 	// This function takes no arguments.
 	// The function is only executed once.
 	// 
-	// Some settings have custom initialization functions named "i" that are executed when the setting is initialized.
-	// The function is executed with an object argument containing the setting's context as "this", the Settings class' context as "s" and a callback function as "c".
-	// The callback function is meant to set the setting's value once the initialization function is done using the "setSetting" function.
+	// Some settings have custom initialization functions named "onInit" (legacy "i") that are executed when the setting is initialized.
+	// The function is executed with an object argument containing the setting's context as "this", the Settings class' context as "s" and the setting's current value as "value".
+	// The initialization function is meant to set the setting's value once it is done using the "setSetting" function.
 	// The function should log an error if a setting is not initialized successfully, and throw an error at the end of the function if there were any settings that were not initialized successfully.
 	// The function should return true if the setting was initialized successfully, false otherwise.
 	//
@@ -132,23 +246,120 @@
 	/**
 	 * @method init - Initialize the settings values.
 	 * This function only needs to be called once per setting in the object "Settings".
+	 * Before any values are applied, the stored values are migrated to the settings list's current schema version with #migrate().
 	 */
 	init() {
+		// Migrate the stored values to the current schema version before they are applied.
+		if (!this.#migrated) {
+			this.#migrate();
+			this.#migrated = true;
+		}
+
 		// Initialize the settings.
+		var failed = [];
 		for (var setting in this.#settings) {
-			// If the setting has an initialization function, call it.
-			if (setting.i !== undefined) {
-				// this.#settings[setting].i(this,   this.#settings[setting], this, this.setSetting);
-				setting.i({s: this, this: this.#settings[setting]});
-			} else {
-				// If the setting does not have an initialization function, use "setSetting" to set the setting's value to the output of "getSetting".
-				this.setSetting(setting, {v: this.getSetting(setting)});
+			try {
+				if (this.#settings[setting].compute !== undefined) {
+					// Computed settings are not stored, their function or option's function is executed with the computed value.
+					this.#committed[setting] = this.#encode(setting, this.getSetting(setting));
+					this.executeSetting(setting, {value: this.#committed[setting]});
+				} else if (this.#settings[setting].onInit !== undefined) {
+					// If the setting has an initialization function, call it.
+					var result = this.#settings[setting].onInit({s: this, this: this.#settings[setting], value: this.getSetting(setting)});
+					if (result instanceof Promise) {
+						result.catch((e) => console.error(`SETTINGS: Error initializing the setting '${setting}'.\n ${e}`));
+					}
+				} else {
+					// If the setting does not have an initialization function, use "setSetting" to set the setting's value to the output of "getSetting".
+					this.setSetting(setting, {v: this.getSetting(setting), source: "init"});
+				}
+			} catch(e) {
+				console.error(`SETTINGS: Error initializing the setting '${setting}'.\n ${e}`);
+				failed.push(setting);
 			}
 		}
 
+		if (failed.length > 0) {
+			throw new Error(`The following settings could not be initialized: ${failed.join(", ")}.`);
+		}
+
 		return this;
 	}
 
+	// Migrate the stored values from the stored schema version to the current schema version defined by the settings list's "$version" entry.
+	// The settings list's "$migrations" entry contains a migration for each version, keyed by the version it migrates to (from N-1 to N).
+	// A migration is either an object with the following optional properties, which are applied in this order:
+	// - rename:	An object mapping old setting names to new setting names, e.g. {"oldName": "newName"}.
+	// - values:	An object mapping setting names (after renaming) to an object mapping old serialized values to new ones, e.g. {"theme": {"darkmode": "dark"}}.
+	// - remove:	An array of setting names whose stored values should be dropped, e.g. ["obsoleteSetting"].
+	// Or a function that receives a storage object with get, set, remove and keys functions scoped to this instance (using unprefixed setting names).
+	// The schema version is stored alongside the values under the "$version" key and is updated after every successful migration.
+	// If the stored values predate versioning, they are assumed to be of version 1. If nothing is stored yet, the current schema version is stored and no migrations are run.
+	/**
+	 * @method #migrate - Migrate the stored values to the settings list's current schema version.
+	 * @returns {Boolean} - True if the stored values are at the current schema version afterwards, false otherwise.
+	 */
+	#migrate() {
+		var currentVersion = this.#meta["$version"];
+		if (currentVersion === undefined) return true;
+
+		var versionKey = this.#storageKey("$version");
+		var store = {
+			get: (key) => this.#storage.get(this.#storageKey(key)),
+			set: (key, value) => this.#storage.set(this.#storageKey(key), String(value)),
+			remove: (key) => this.#storage.remove(this.#storageKey(key)),
+			keys: () => this.getStoredKeys().map((key) => key.slice(this.#storageKey("").length)).filter((key) => !key.startsWith("$")),
+		};
+
+		try {
+			// Without a stored version, nothing is stored yet (a new user, whose values are already of the current version) or the values predate versioning and are assumed to be of version 1.
+			var storedVersion = this.#storage.get(versionKey);
+			if (storedVersion === null && store.keys().length === 0) {
+				this.#storage.set(versionKey, String(currentVersion));
+				return true;
+			}
+			storedVersion = (storedVersion === null) ? 1 : Number(storedVersion);
+
+			if (storedVersion > currentVersion) {
+				console.warn(`SETTINGS: The stored settings are of a newer schema version (${storedVersion}) than the settings list (${currentVersion}), they will not be migrated.`);
+				return false;
+			}
+
+			var migrations = this.#meta["$migrations"] || {};
+			for (var version = storedVersion + 1; version <= currentVersion; version++) {
+				var migration = migrations[version];
+
+				if (typeof migration === "function") {
+					migration(store);
+				} else if (migration !== undefined) {
+					for (var oldName in (migration.rename || {})) {
+						var value = store.get(oldName);
+						if (value !== null) {
+							store.set(migration.rename[oldName], value);
+							store.remove(oldName);
+						}
+					}
+					for (var setting in (migration.values || {})) {
+						var value = store.get(setting);
+						if (value !== null && migration.values[setting].hasOwnProperty(value)) {
+							store.set(setting, migration.values[setting][value]);
+						}
+					}
+					(migration.remove || []).forEach((setting) => store.remove(setting));
+				}
+
+				this.#storage.set(versionKey, String(version));
+				console.debug(`SETTINGS: Migrated the stored settings to schema version ${version}.`);
+			}
+
+			this.#storage.set(versionKey, String(currentVersion));
+			return true;
+		} catch(e) {
+			console.error(`SETTINGS: Error migrating the stored settings to schema version ${version}, the remaining migrations were skipped.\n ${e}`);
+			return false;
+		}
+	}
+
 	/** 
 	 * @method #resolveElement - Resolve an element from either a provided HTMLElement, jQuery object, or string selector.
 	 * @description This function adds some compatibility with jQuery but is also useful in case a provided element does not yet exist in the DOM when the instance of the Settings class is created and the "insertDOM()" function is called later.
@@ -161,7 +372,7 @@
 		var elementResolved = element;
 
 		// If the element is a jQuery object, set the first element in the jQuery object as the resolved element.
-		if (element instanceof jQuery) {
+		if (typeof jQuery !== "undefined" && element instanceof jQuery) {
 			elementResolved = element[0];
 		}
 
@@ -182,570 +393,3560 @@
 		return elementResolved;
 	}
 
+	// The SettingsTemplateManager class is a global in the browser. In CommonJS environments (e.g. on a server) it is not, so it is required from the settings-template-manager.js next to this file.
 	/**
-	 * @method #watchForContainer - Watch for the container element to be added to the DOM and then insert the settings into the container.
-	 * @description This function is used when the container element is not yet in the DOM when the instance of the Settings class is created.
-	 * @param {String} container - The container element query selector to watch for.
-	 * @param {Object} args - Optional arguments.
-	 * @param {Boolean} args.DOM - Whether to insert the settings into the container element or not upon the container element being detected in the DOM.
-	 * @param {Boolean} args.init - Whether to initialize the settings or not upon the container element being detected in the DOM.
-	 * @returns {Settings} - The Settings class instance.
+	 * @method #templateManagerClass (private) - Get the SettingsTemplateManager class, if settings-template-manager.js is loaded or can be required.
+	 * @returns {Function|null} - The SettingsTemplateManager class, or null if it is not available.
 	 */
-	#watchForContainer(args = {container: this.#container.original, DOM: true, init: true}) {
-		console.debug(`%cSETTINGS: %c#watchForContainer() %chas started for container element "${args.container}"`, 'color: #0f0;', 'color: #00f;', 'color: #0f0;');
-
-		// Resolve the container element from the provided query selector.
-		var resolveElement = this.#resolveElement(args.container);
-		var that = this;
+	static #templateManagerClass() {
+		if (typeof SettingsTemplateManager !== "undefined") return SettingsTemplateManager;
+		if (typeof module !== "undefined" && module.exports && typeof require === "function") {
+			try {
+				return require("./settings-template-manager.js").SettingsTemplateManager;
+			} catch(e) {
+				return null;
+			}
+		}
+		return null;
+	}
 
-		// Internal function to handle the insertDOM and init functions.
-		var insertDOMAndInit = ()=>{
-			// Insert the settings into the container element.
-			if (args.DOM === true) {
-				try {
-					this.insertDOM(this.#container.element);
-				} catch (e) {
-					console.error(`SETTINGS: %cwatchForContainer() %cError inserting settings into DOM, the container element is not valid or does not exist (yet). \n ${e}`, "color: #00f;", "color: initial;");
-				}
+	/**
+	 * @method #resolveStorage - Resolve a storage adapter from either a provided adapter object or the name of a built-in adapter.
+	 * @description Any object implementing the get, set, remove and keys methods of the SettingsStorage class can be used as a storage adapter.
+	 * Without a window (e.g. on a server), the built-in adapters other than "memory" are not available and the memory adapter is used instead.
+	 * @param {SettingsStorage|String} storage - The storage adapter or the name of a built-in adapter ("local", "session", "cookie" or "memory").
+	 * @returns {SettingsStorage} - The resolved storage adapter.
+	 */
+	#resolveStorage(storage = "local") {
+		// Without a window there is no localStorage, sessionStorage or cookies, so the values are kept in memory (e.g. while rendering with renderToString on a server).
+		if (typeof window === "undefined" && (typeof storage !== "object" || storage === null)) {
+			if (storage !== "memory" && storage !== "none") {
+				console.warn(`SETTINGS: No window is available, the "${storage}" storage adapter is replaced with the "memory" storage adapter.`);
 			}
+			return new SettingsMemoryStorage();
+		}
 
-			// Initialize the settings
-			if (args.init === true) {
-				try {
-					this.init();
-				} catch (e) {
-					console.error(`SETTINGS: %cwatchForContainer() %cError initializing settings. \n ${e}`, "color: #00f;", "color: initial;");
+		// If the storage is an adapter object, use it as is.
+		if (typeof storage === "object" && storage !== null) {
+			for (var method of ["get", "set", "remove", "keys"]) {
+				if (typeof storage[method] !== "function") {
+					console.error(`SETTINGS: The provided storage adapter does not implement the "${method}" method, falling back to localStorage.`);
+					return this.#resolveStorage("local");
 				}
 			}
+			return storage;
 		}
 
-		// Check if the container element is already in the DOM upon running the function.
-		if (resolveElement !== null) {
-			console.debug(`%cSETTINGS: Container element already in the DOM at the time of %cwatchForContainer() %cexecution, running insertDOM() and init() functions.`, 'color: #0f0;', 'color: #00f;', 'color: #0f0;');
-
-			// Set the container element to the resolved element.
-			this.#container.element = resolveElement;
+		// If the storage is a string, resolve it to one of the built-in adapters.
+		switch (storage) {
+			case "local":
+			case "localStorage":
+				return new SettingsLocalStorage();
+			case "session":
+			case "sessionStorage":
+				return new SettingsSessionStorage();
+			case "cookie":
+			case "cookies":
+				return new SettingsCookieStorage();
+			case "memory":
+			case "none":
+				return new SettingsMemoryStorage();
+			default:
+				console.error(`SETTINGS: Unknown storage adapter "${storage}", falling back to localStorage.`);
+				return new SettingsLocalStorage();
+		}
+	}
 
-			// If the container element is already in the DOM, insert the settings into the container element.
-			insertDOMAndInit();
+	/**
+	 * @method #storageKey - Get the key a setting's value is stored under, prefixed with the instance's namespace if one is set.
+	 * @param {String} setting - The name of the setting.
+	 * @returns {String} - The storage key.
+	 */
+	#storageKey(setting) {
+		return (this.#namespace !== "") ? this.#namespace + ":" + setting : setting;
+	}
 
-			return this;
+	/**
+	 * @method #isOwnKey - Check whether a storage key is owned by this instance.
+	 * @description With a namespace every key carrying the namespace prefix is owned, without one only the keys matching the names of this instance's settings are.
+	 * @param {String} key - The storage key to check.
+	 * @returns {Boolean} - True if the key is owned by this instance, false otherwise.
+	 */
+	#isOwnKey(key) {
+		if (this.#namespace !== "") {
+			return key.startsWith(this.#namespace + ":");
 		}
+		return this.#settings.hasOwnProperty(key) || key === "$version" || key === "$sections";
+	}
 
-		// Check if an observer has already been created and if so, do not create another one.
-		if (this.#container.observer == null) {
-			// If the container element is not yet in the DOM, use a mutation observer to wait for it to be added to the DOM.
-			this.#container.observer = new MutationObserver(function(mutations) {
-				if (document.querySelector(args.container)) {
-					console.debug(`%cSETTINGS: %cwatchForContainer() %cContainer element detected in the DOM, running insertDOM() and init() functions.`, 'color: #0f0;', 'color: #00f;', 'color: #0f0;');
+	// Normalize a setting's definition into the descriptive schema used internally.
+	// Settings can be defined with descriptive keys (key, label, description, type, default, valueType, attributes, onInit, options) or with the legacy single-letter keys (s, d.name, d.description, d.type, v, t, a, i, o).
+	// Options can be defined with descriptive keys (label, onSelect, disabled, hidden) or legacy keys (s, f, d, h), either as an object keyed by the option's value or as an array of option objects with a "value" property.
+	// The descriptive key takes precedence when both are given. All other properties of the definition (like the legacy "f" helper function) are kept as they are.
+	/**
+	 * @method #normalizeSetting - Normalize a setting's definition into the descriptive schema.
+	 * @param {String} setting - The key of the setting in the settings list.
+	 * @param {Object} definition - The setting's definition, using either descriptive or legacy keys.
+	 * @returns {Object} - The normalized setting object. Definitions that are not objects are returned as is, to be reported by #validateDefinition().
+	 */
+	#normalizeSetting(setting, definition) {
+		if (typeof definition !== "object" || definition === null) {
+			return definition;
+		}
 
-					// Set the container element to the awaited element.
-					that.#container.element = document.querySelector(args.container);
+		var details = (typeof definition.d === "object" && definition.d !== null) ? definition.d : {};
+		var normalized = Object.assign({}, definition, {
+			key: definition.key ?? definition.s ?? setting,
+			label: definition.label ?? details.name,
+			description: definition.description ?? details.description,
+			type: definition.type ?? details.type,
+			default: ("default" in definition) ? definition.default : definition.v,
+			valueType: definition.valueType ?? definition.t,
+			attributes: definition.attributes ?? definition.a,
+			onInit: definition.onInit ?? definition.i,
+		});
+
+		// Apply the defaults of the setting's type, e.g. boolean settings always store a real boolean and default to false.
+		var type = SettingsManager.#types[normalized.type];
+		if (type !== undefined && type.defaults !== undefined) {
+			for (var property in type.defaults) {
+				if (normalized[property] !== undefined) continue;
+				if (property === "default") this.#implicitDefaults.add(setting);
+				normalized[property] = (type.defaults[property] instanceof Array) ? type.defaults[property].slice() : type.defaults[property];
+			}
+		}
 
-					// If the container element is detected in the DOM, insert the settings into the container element and initialize the settings.
-					insertDOMAndInit();
+		// Turn an attributes object ({name: value}) into the array format, where "true" values become plain attribute names.
+		if (typeof normalized.attributes === "object" && normalized.attributes !== null && !(normalized.attributes instanceof Array)) {
+			normalized.attributes = Object.entries(normalized.attributes).map(([name, value]) => (value === true) ? name : [name, String(value)]);
+		}
 
-					// Stop the mutation observer.
-					that.#container.observer.disconnect();
+		// Normalize the options into an object keyed by the serialized form of their values.
+		var options = definition.options ?? definition.o;
+		if (typeof options === "object" && options !== null) {
+			// The setting's type can key its options by another value type, e.g. the plain values of multiselect settings.
+			var codec = SettingsManager.#codecFor((type !== undefined && type.optionValueType !== undefined) ? type.optionValueType : normalized.valueType, normalized.default) || SettingsManager.#codecs.string;
+			var entries = (options instanceof Array)
+				? options.map((option) => [(typeof option === "object" && option !== null) ? codec.encode(option.value) : option, option])
+				: Object.entries(options);
+
+			normalized.options = {};
+			entries.forEach(([key, option]) => {
+				if (typeof option !== "object" || option === null) {
+					normalized.options[key] = option;
+					return;
 				}
+				normalized.options[key] = Object.assign({}, option, {
+					key: key,
+					label: option.label ?? option.s,
+					onSelect: option.onSelect ?? option.f,
+					disabled: option.disabled ?? option.d,
+					hidden: option.hidden ?? option.h,
+				});
 			});
-
-			// Set the observer to observe the container element.
-			console.debug(`%cSETTINGS: %cwatchForContainer() %cMutation Observer now watching for container element to be added to the DOM.`, 'color: #0f0;', 'color: #00f;', 'color: #0f0;');
-			this.#container.observer.observe(document, {childList: true, subtree: true});
+		} else {
+			normalized.options = options;
 		}
 
-		return this;
+		return normalized;
 	}
 
-	// Execute the function associated with the setting's options matching the value defined as the optional "value" argument.
-	// If there is no value argument, it will substitute the setting's current value.
-	// If there is no current value, it will substitute the setting's default value.
-	// This function has an optional "args" argument that is an object of arguments to pass to the function associated with the setting's options matching the value.
-	// If "args" is not defined, the function is executed with no arguments.
-	// This function is executed whenever a setting is updated.
-	// The function associated with the setting's options matching the value returns true if the function was executed successfully, false otherwise.
-	// If the function returns true, another function named "updateDOM" is executed to reflect the change in the setting in the DOM.
+	// A condition is an object mapping the names of other settings to the value they must have, an array of values one of which they must have, or a function receiving their value and returning whether it matches.
 	/**
-	 * @method executeSetting - Execute the function associated with the setting's options matching the value defined as the optional "value" argument.
-	 * @param {String} setting - The setting to execute the function for.
-	 * @param {Object} args - The arguments to pass to the function associated with the setting's options matching the value.
-	 * @param {String} args.value - The value to pass to the function associated with the setting's options matching the value.
-	 * @param {Object} args.args - The arguments to pass directly to the function associated with the setting's options matching the value.
-	 * @param {Object} args.args.this - Optional / Overridable. The context of the setting the option this function is associated with belongs to.
-	 * @param {Object} args.args.s - DO NOT OVERRIDE. The Settings class' context, equivalent to "this" inside of the Settings class. Gives access to the Settings class' functions.
-	 * @returns {Boolean} - True if the function was executed successfully, false otherwise.
+	 * @method #validateCondition - Validate a "visibleWhen" or "enabledWhen" condition.
+	 * @param {Object} condition - The condition, undefined if the setting or option has none.
+	 * @param {String} path - The path to the condition, used to prefix the problems.
+	 * @returns {String[]} - The problems found.
 	 */
-	executeSetting(setting, args = {}) {
-		var value = args.value || this.#settings[setting].v || this.#defaults[setting].v;
-		var argsPassed = args.args || {};
-			argsPassed.s = this;
-			argsPassed.this = this.#settings[setting];
-		var options = this.#settings[setting].o;
-		try {
-			if (options[value].f !== undefined) {
-				(async () => {
-					try {
-						var result = await options[value].f(argsPassed);
-						if (result === true) {
-							this.updateDOM(setting, value);
-						} else {
-							this.updateDOM(setting, value, true);
-						}
-					} catch(e) {
-						this.updateDOM(setting, value, true);
-						console.error(`SETTINGS: Error executing the option's function for ${setting}["${value}"].\n Result: ${result}\n ${e}`);
-					}
-				})();
-			} else {
-				this.updateDOM(setting, value);
-			}
-		} catch(e) {
-			console.error(`SETTINGS: Error executing the option's function for ${setting}["${value}"].\n ${e}`);
-			//
+	#validateCondition(condition, path) {
+		if (condition === undefined) return [];
+		if (typeof condition !== "object" || condition === null || condition instanceof Array) {
+			return [`${path}: must be an object mapping setting names to a value, an array of values or a function.`];
 		}
+
+		return Object.keys(condition).filter((setting) => !this.#settings.hasOwnProperty(setting)).map((setting) => `${path}.${setting}: unknown setting '${setting}'.`);
 	}
 
-	// Update the DOM elements associated with a given setting to reflect the setting's current value or a given value.
-	// This function is executed whenever a setting is updated.
-	// The function is executed with the setting's name and value as arguments.
-	// The function should update the DOM elements associated with the setting to reflect the setting's current value or a given value.
-	// The function should update the value of the button.TopButton to reflect the setting's current value or a given value.
-	// The function should set add the "active" class to the button.SubButton which value matches the setting's current value or a given value and remove the "active" class from all button.SubButton which value does not match the setting's current value or a given value.
-	// The span inside the button.TopButton should contain the setting's current value or a given value.
-	// If there was a problem in setting the setting's value, a span matching with an id matching the setting's name inside the button.TopButton should be colored red and an error message should be displayed in the console.
-	// If the setting is currently disabled, the error color should not be applied.
+	// Normalize the "$sections" metadata entry into an object keyed by section name, in the order the sections are displayed in.
+	// Sections can be defined as an object containing an object for each section, or as an array of section objects with a "key" property.
 	/**
-	 * @method updateDOM - Update the DOM elements associated with a given setting to reflect the setting's current value or a given value.
-	 * @param {String} setting - The setting to update the DOM elements for.
-	 * @param {String} value - The value to update the DOM elements to.
-	 * @param {Boolean} error - Optional. True if there was an error setting the setting's value, false otherwise.
+	 * @method #normalizeSections - Normalize the sections of the settings list.
+	 * @param {Object|Object[]} sections - The "$sections" metadata entry.
+	 * @returns {Object} - The sections keyed by name, each with its name as "key". Sections that are not objects are kept as they are, to be reported by #validateDefinition().
 	 */
-	updateDOM(setting, value, error = false) {
-		// If there is no DOM element for the settings container or the setting itself, throw an error.
-		if (this.#container.element === null || this.#container.element === undefined) {
-			console.error(`SETTINGS: Could not update the DOM elements for ${setting}["${value}"] because the settings container is not defined. \n Settings container: ${this.#container}`);
-			return false;
-		} else if (this.#container.element.children.length === 0) { 
-			// TODO: Implement a check for the presence of a setting's own DOM elements after templates are implemented.
-			console.error(`SETTINGS: Could not update the DOM elements for ${setting}["${value}"] because the settings container does not have any children (and thus no settings UI). \n Settings container: ${this.#container}`);
-			return false;
+	#normalizeSections(sections) {
+		var normalized = {};
+		if (typeof sections !== "object" || sections === null) {
+			return normalized;
 		}
 
-		try {
-			var buttonTop 	= document.querySelector("button.TopButton[name^='" + setting + "']");
-			var buttonSub 	= document.querySelectorAll("button.SubButton[name='" + setting + "']");
-			var span 		= document.querySelector("button.TopButton[name^='" + setting + "'] span");
-
-			var settingValue = value || this.#settings[setting].v || this.#defaults[setting].v;
-			var settingOptionName = this.#settings[setting].o[settingValue].s;
-			
-			var isDisabled = buttonTop.hasAttribute("disabled");
+		var entries = (sections instanceof Array)
+			? sections.map((section) => [(typeof section === "object" && section !== null) ? section.key : section, section])
+			: Object.entries(sections);
+		entries.forEach(([key, section]) => {
+			normalized[key] = (typeof section === "object" && section !== null) ? Object.assign({}, section, { key: key }) : section;
+		});
 
-			// Update the button.TopButton to reflect the setting's current value or a given value.
-			buttonTop.value = settingValue;
+		return normalized;
+	}
 
-			// Update the button.SubButton Active class to reflect the setting's current value or a given value.
-			buttonSub.forEach(function(button) {
-				if (button.value === settingValue) {
-					button.classList.add("Active");
-				} else {
-					button.classList.remove("Active");
-				}
-			});
+	// Validate the definitions of all settings in the settings list and report all problems at once, each with the path to the offending property.
+	// The paths use the keys the setting was defined with, either the descriptive keys or the legacy single-letter keys.
+	// In strict mode, an error listing all problems is thrown.
+	// Otherwise the problems are logged and every setting with a problem is removed from the settings object, so the remaining settings can still be used.
+	// Sections with a problem are removed as well, their settings are displayed without a section.
+	/**
+	 * @method #validateDefinition - Validate the settings list definition.
+	 * @param {Boolean} strict - Whether to throw an error if there are any problems, instead of skipping the invalid settings.
+	 * @returns {String[]} - The problems found, each prefixed with the path to the offending property.
+	 * @throws {Error} - In strict mode, if there were any problems.
+	 */
+	#validateDefinition(strict = false) {
+		var problems = [];
+		var invalid = [];
+		var isFunction = (value) => value === undefined || typeof value === "function";
+		var isObject = (value) => typeof value === "object" && value !== null && !(value instanceof Array);
+
+		// Validate the metadata entries.
+		if (this.#meta["$version"] !== undefined && !(Number.isInteger(this.#meta["$version"]) && this.#meta["$version"] > 0)) {
+			problems.push(`$version: must be a positive integer, got '${this.#meta["$version"]}'.`);
+		}
+		if (this.#meta["$migrations"] !== undefined && !isObject(this.#meta["$migrations"])) {
+			problems.push(`$migrations: must be an object keyed by schema version.`);
+		}
+		if (this.#meta["$sections"] !== undefined && (typeof this.#meta["$sections"] !== "object" || this.#meta["$sections"] === null)) {
+			problems.push(`$sections: must be an object keyed by section name, or an array of sections with a "key" property.`);
+		}
 
-			// Update the span element content to reflect the setting's current value or a given value.
-			// The span element is inside the button.TopButton.
-			// Set the span element to be colored red if there was a problem in setting the setting's value.
-			span.innerHTML = settingOptionName;
+		// Validate the sections.
+		var sections = Object.keys(this.#sections);
+		var invalidSections = [];
+		for (var section in this.#sections) {
+			var sectionObject = this.#sections[section];
+			var sectionProblems = [];
 
-			if (error && !isDisabled) {
-				span.classList.add("error");
-				span.style.color = "red";
+			if (!isObject(sectionObject)) {
+				sectionProblems.push(`$sections.${section}: must be an object.`);
 			} else {
-				span.classList.remove("error");
-				span.style.color = "";
+				if (typeof sectionObject.label !== "string") {
+					sectionProblems.push(`$sections.${section}.label: is missing or is not a string.`);
+				}
+				if (sectionObject.description !== undefined && typeof sectionObject.description !== "string") {
+					sectionProblems.push(`$sections.${section}.description: must be a string.`);
+				}
+				["expanded", "hidden"].forEach((property) => {
+					if (sectionObject[property] !== undefined && typeof sectionObject[property] !== "boolean") {
+						sectionProblems.push(`$sections.${section}.${property}: must be a boolean.`);
+					}
+				});
 			}
 
-			return true;
-		} catch(e) {
-			console.error(`SETTINGS: Error updating the DOM elements for ${setting}["${value}"].\n ${e}`);
-			return false;
+			if (sectionProblems.length > 0) {
+				invalidSections.push(section);
+				problems = problems.concat(sectionProblems);
+			}
 		}
-	}
-
-	// Generate a DOM structure inside of a DocumentFragment for the settings buttons and return it.
-	// Each settings button is a button with a class of "TopButton" and a name matching the setting's name.
-	// The button.TopButton has an attribute of "desc" matching the setting's description.
-	// The button.TopButton has a label and a span element inside of it that contain the setting's name as well as the setting's default value or current value if it is set.
-	// The button.TopButton if followed by a div element with a class of "SubMenu" containing a list of button.SubButton for each setting's option.
-	// The button.SubButton have a value matching the setting's option's value.
-	// The button.SubButton have a b element inside them that contains the setting's option's value.
-	// If the button.SubButton's value matches the setting's current value or default value, the button.SubButton should have the class "active".
-	// The function is executed with the setting's name and the button.SubButton's value as arguments.
-	// The button.TopButton and div.SubMenu have tabindex attributes of "-1" to prevent them from being focused.
-	/**
-	 * @method generateDOM - Generate a DOM structure inside of a DocumentFragment for the settings buttons and return it.
-	 * @returns {DocumentFragment} - The DocumentFragment containing the settings buttons.
-	 */
-	generateDOM() {
-		var settings = this.#settings;
-		var settingsDOM = document.createDocumentFragment();
 
-		for(var setting in settings) {
-			var settingName = setting;
-			var settingNameText = settings[setting].d.name;
-			var settingDescription = settings[setting].d.description;
-			var settingValue = settings[setting].v;
-			var settingType = settings[setting].d.type;
-			var settingOptions = settings[setting].o;
-			var settingOptionName = settings[setting].o[settingValue].s;
-			var settingButtonAttributes = settings[setting].a;
-
-
-			var settingDOM = document.createElement("button");
-			settingDOM.className = "TopButton";
-			settingDOM.name = (settingType == "submenu") ? settingName + "Top" : settingName;
-			settingDOM.setAttribute("tabindex", "-1");
-			settingDOM.setAttribute("desc", settingDescription);
-			settingDOM.setAttribute("setting-type", settingType);
-			settingDOM.innerHTML = "<label>" + settingNameText + "</label><span>" + settingOptionName + "</span>";
+		for (var setting in this.#settings) {
+			var settingObject = this.#settings[setting];
+			var settingProblems = [];
 
-			if (settingButtonAttributes !== undefined) {
-				for (var attribute in settingButtonAttributes) {
-					if (attribute instanceof Array) {
-						settingDOM.setAttribute(settingButtonAttributes[attribute][0], settingButtonAttributes[attribute][1]);
-					} else {
-						settingDOM.setAttribute(settingButtonAttributes[attribute], "true");
-					}
-				}
+			if (!isObject(settingObject)) {
+				invalid.push(setting);
+				problems.push(`${setting}: must be an object.`);
+				continue;
 			}
 
-			// If the setting type is "submenu", generate a div.SubMenu element and append it to the settingDOM.
-			if (settings[setting].d.type === "submenu") {
-				var subMenuDOM = document.createElement("div");
-				subMenuDOM.className = "SubMenu";
-				subMenuDOM.id = settingName;
-				subMenuDOM.setAttribute("tabindex", "-1");
+			// Report the paths with the keys the setting was defined with.
+			var legacy = settingObject.d !== undefined || settingObject.o !== undefined;
+			var path = (property) => setting + "." + (legacy ? SettingsManager.#legacyKeys.setting[property] : property);
+			var optionPath = (option, property) => path("options") + "." + option + "." + (legacy ? SettingsManager.#legacyKeys.option[property] : property);
 
-				// Iterate through each setting's option and create a button.SubButton for each option, then append it to the div.SubMenu.
-				// Order the settings options by their value if they are numeric. Otherwise, keep the order they are in the settings object.
-				// If the option is set as hidden (h), don't create a button.SubButton for it.
-				// If the option is set as disabled (d), add the attribute "disabled" to the button.SubButton.
-				var settingOptionsArray = [];
-				for (var option in settingOptions) {
-					settingOptionsArray.push(option);
-				}
+			// Validate the setting's key, label, description and type.
+			if (settingObject.key !== setting) {
+				settingProblems.push(`${path("key")}: must match the setting's key '${setting}', got '${settingObject.key}'.`);
+			}
+			if (typeof settingObject.label !== "string") {
+				settingProblems.push(`${path("label")}: is missing or is not a string.`);
+			}
+			if (settingObject.description !== undefined && typeof settingObject.description !== "string") {
+				settingProblems.push(`${path("description")}: must be a string.`);
+			}
+			if (!SettingsManager.#types.hasOwnProperty(settingObject.type)) {
+				settingProblems.push(`${path("type")}: unknown type '${settingObject.type}', expected one of "${Object.keys(SettingsManager.#types).join('", "')}".`);
+			}
+
+			// Validate the setting's section, which must be defined in the "$sections" entry.
+			if (settingObject.section !== undefined && !sections.includes(settingObject.section)) {
+				settingProblems.push(`${setting}.section: unknown section '${settingObject.section}', sections are defined in the "$sections" entry of the settings list.`);
+			}
 
-				if (settingOptionsArray instanceof Array) {
-					if (!isNaN(parseFloat(settingOptions[settingOptionsArray[0]].s))) {
-						settingOptionsArray.sort(function(a, b) {
-							return b - a;
-						});
+			// Validate the conditions of the setting and of its options, which reference other settings.
+			["visibleWhen", "enabledWhen"].forEach((property) => {
+				settingProblems = settingProblems.concat(this.#validateCondition(settingObject[property], `${setting}.${property}`));
+				if (isObject(settingObject.options)) {
+					for (var option in settingObject.options) {
+						if (isObject(settingObject.options[option])) {
+							settingProblems = settingProblems.concat(this.#validateCondition(settingObject.options[option][property], `${path("options")}.${option}.${property}`));
+						}
 					}
 				}
+			});
+
+			// Validate the function and the dependencies of computed settings.
+			if (settingObject.compute !== undefined || settingObject.dependsOn !== undefined) {
+				if (typeof settingObject.compute !== "function") {
+					settingProblems.push(`${setting}.compute: must be a function for settings with "dependsOn".`);
+				}
+				if (!(settingObject.dependsOn instanceof Array) || settingObject.dependsOn.length === 0) {
+					settingProblems.push(`${setting}.dependsOn: must be a non-empty array of the names of the settings the computed setting depends on.`);
+				} else {
+					settingObject.dependsOn.filter((dependency) => !this.#settings.hasOwnProperty(dependency)).forEach((dependency) => {
+						settingProblems.push(`${setting}.dependsOn: unknown setting '${dependency}'.`);
+					});
+				}
+			}
+
+			// Validate the setting's functions.
+			if (!isFunction(settingObject.onInit)) {
+				settingProblems.push(`${path("onInit")}: must be a function.`);
+			}
+			if (!isFunction(settingObject.f)) {
+				settingProblems.push(`${setting}.f: must be a function.`);
+			}
+
+			// Validate the setting's attributes, either attribute names or [name, value] pairs.
+			if (settingObject.attributes !== undefined) {
+				if (!(settingObject.attributes instanceof Array)) {
+					settingProblems.push(`${path("attributes")}: must be an array of attribute names or [name, value] pairs, or an object of attribute values.`);
+				} else {
+					settingObject.attributes.forEach((attribute, index) => {
+						var name = (attribute instanceof Array) ? attribute[0] : attribute;
+						if (typeof name !== "string" || !/^[a-zA-Z_:][-a-zA-Z0-9_:.]*$/.test(name) || (attribute instanceof Array && attribute.length !== 2)) {
+							settingProblems.push(`${path("attributes")}[${index}]: must be a valid attribute name or a [name, value] pair, got '${attribute}'.`);
+						}
+					});
+				}
+			}
+
+			// Validate the setting's value type.
+			var validType = SettingsManager.#codecFor(settingObject.valueType, settingObject.default) !== undefined
+				&& (!isObject(settingObject.valueType) || (typeof settingObject.valueType.encode === "function" && typeof settingObject.valueType.decode === "function"));
+			if (!validType) {
+				settingProblems.push(`${path("valueType")}: must be one of "${Object.keys(SettingsManager.#codecs).join('", "')}" or an object with "encode" and "decode" functions.`);
+			}
 
-				for (var i = 0; i < settingOptionsArray.length; i++) {
-					var option = settingOptionsArray[i];
-					if (settingOptions[option].h !== true) {
-						var optionName = settingOptions[option].s;
-						var optionValue = option;
-						var optionDOM = document.createElement("button");
-						optionDOM.className = "SubButton" + (optionValue === settingValue ? " Active": "");
-						optionDOM.name = settingName;
-						optionDOM.value = optionValue;
-						optionDOM.innerHTML = "<b>" + optionName + "</b>";
+			if (!isFunction(settingObject.onChange)) {
+				settingProblems.push(`${setting}.onChange: must be a function.`);
+			}
+
+			// Validate the properties specific to the setting's type (e.g. the bounds of range settings) with the type's own validation.
+			var type = SettingsManager.#types[settingObject.type];
+			if (type !== undefined && type.validateDefinition !== undefined) {
+				settingProblems = settingProblems.concat(type.validateDefinition(this.#typeContext(setting, undefined, { path: path, optionPath: optionPath })));
+			}
 
-						if (settingOptions[option].d !== undefined && settingOptions[option].d != false) {
-							optionDOM.setAttribute("disabled", "true");
+			// Validate the setting's options for settings that are options based.
+			if (type !== undefined && type.options) {
+				if (!isObject(settingObject.options) || Object.keys(settingObject.options).length === 0) {
+					settingProblems.push(`${path("options")}: is missing or does not contain any options.`);
+				} else {
+					for (var option in settingObject.options) {
+						var optionObject = settingObject.options[option];
+						if (!isObject(optionObject)) {
+							settingProblems.push(`${path("options")}.${option}: must be an object.`);
+							continue;
 						}
+						if (typeof optionObject.label !== "string" && typeof optionObject.label !== "number") {
+							settingProblems.push(`${optionPath(option, "label")}: is missing or is not a string.`);
+						}
+						if (!isFunction(optionObject.onSelect)) {
+							settingProblems.push(`${optionPath(option, "onSelect")}: must be a function.`);
+						}
+					}
+				}
+			}
+
+			// Validate that the default value is a valid value for the setting, e.g. one of its options or within its bounds.
+			// Computed settings do not need a default value, it is only used if computing the value fails.
+			if (settingObject.default === undefined) {
+				if (settingObject.compute === undefined) {
+					settingProblems.push(`${path("default")}: the default value is missing.`);
+				}
+			} else if (validType && settingProblems.length === 0) {
+				try {
+					// The option keys and the default value are normalized into the form values are stored in first, e.g. the hex form of a color.
+					if (isObject(settingObject.options)) {
+						settingObject.options = Object.fromEntries(Object.entries(settingObject.options).map(([key, option]) => {
+							key = this.#normalizeValue(setting, key);
+							return [key, isObject(option) ? Object.assign(option, { key: key }) : option];
+						}));
+					}
+					var defaultValue = this.#normalizeValue(setting, this.#encode(setting, this.#decode(setting, settingObject.default)));
+					settingObject.default = this.#decode(setting, defaultValue);
 
-						subMenuDOM.appendChild(optionDOM);
+					// The default of the setting's type (e.g. the empty text) is not checked against the setting's own constraints, like its "validate" function, as the setting did not choose it.
+					var defaultProblem = this.#implicitDefaults.has(setting) ? null : this.#validateValue(setting, defaultValue);
+					if (defaultProblem !== null) {
+						settingProblems.push(`${path("default")}: ${defaultProblem}`);
 					}
+				} catch(e) {
+					settingProblems.push(`${path("default")}: the default value could not be serialized.\n ${e}`);
 				}
+			}
 
-				settingsDOM.appendChild(settingDOM);
-				settingsDOM.appendChild(subMenuDOM);
-			} else {
-				settingsDOM.appendChild(settingDOM);
+			if (settingProblems.length > 0) {
+				invalid.push(setting);
+				problems = problems.concat(settingProblems);
+			}
+		}
+
+		// The conditions and computed values of the settings can not depend on each other in a cycle (e.g. "a" only being visible when "b" is on and "b" only when "a" is on), as they could never be resolved.
+		// Every setting in a cycle is reported, with the cycle it is part of.
+		var visited = {};
+		var visit = (setting, trail) => {
+			if (visited[setting] === "done" || this.#settings[setting] === undefined || invalid.includes(setting)) return;
+			if (visited[setting] === "visiting") {
+				var cycle = trail.slice(trail.indexOf(setting)).concat([setting]);
+				cycle.slice(0, -1).forEach((member) => {
+					if (invalid.includes(member)) return;
+					invalid.push(member);
+					problems.push(`${member}: the settings depend on each other in a cycle: ${cycle.join(" -> ")}.`);
+				});
+				return;
+			}
+
+			visited[setting] = "visiting";
+			this.#dependencies(setting).forEach((dependency) => visit(dependency, trail.concat([setting])));
+			visited[setting] = "done";
+		};
+		Object.keys(this.#settings).forEach((setting) => visit(setting, []));
+
+		if (problems.length > 0) {
+			var message = `SETTINGS: The settings list contains ${problems.length} problem(s):\n - ${problems.join("\n - ")}`;
+			if (strict) {
+				throw new Error(message);
+			}
+
+			console.error(message);
+			if (invalid.length > 0) {
+				console.warn(`SETTINGS: The following invalid settings will be skipped: ${invalid.join(", ")}.`);
+			}
+			invalid.forEach((setting) => delete this.#settings[setting]);
+			if (invalidSections.length > 0) {
+				console.warn(`SETTINGS: The following invalid sections will be skipped, their settings are displayed without a section: ${invalidSections.join(", ")}.`);
 			}
+			invalidSections.forEach((section) => delete this.#sections[section]);
 		}
 
-		return settingsDOM;
+		return problems;
 	}
 
-	// Insert the settings buttons into a given DOM element and bind the click event to the button.SubButton.
-	// The function is executed with the DOM element as argument.
-	// The function should insert the settings buttons into the DOM element.
+	// Validate a serialized value against the setting's constraints with the "validate" function of the setting's type.
+	// Options based settings without their own validation only accept the keys of their options.
 	/**
-	 * @method insertDOM - Insert the settings buttons into a given DOM element and bind the click events with #attachEvents().
-	 * @param {HTMLElement} element - The DOM element to insert the settings buttons into.
-	 * @param {jQuery} element - The jQuery element to insert the settings buttons into, if the given element is not a DOM element.
-	 * @param {string} element - The selector of the element to insert the settings buttons into.
-	 * @returns {this} - The Settings object.
+	 * @method #validateValue - Validate a serialized value for a setting.
+	 * @param {String} setting - The name of the setting.
+	 * @param {String} value - The serialized value to validate.
+	 * @returns {String|null} - A message describing why the value is invalid, or null if the value is valid.
 	 */
-	insertDOM(element = this.#container.element) {
-		element = this.#resolveElement(element);
+	#validateValue(setting, value) {
+		var settingObject = this.#settings[setting];
+		var type = SettingsManager.#types[settingObject.type];
 
-		if (!(element instanceof HTMLElement)) {
-			console.error(`SETTINGS: Error inserting settings into DOM, the container element is not valid or does not exist (yet).`);
-			console.info(`SETTINGS: SettingsManager will fall back to the "watchForContainer" method and try to insert the settings into the DOM later.`);
-			this.#watchForContainer();
+		if (type.validate !== undefined) {
+			return type.validate(value, this.#typeContext(setting, value));
 		}
+		if (type.options && (settingObject.options === undefined || settingObject.options[value] === undefined)) {
+			return `The value '${value}' is not in the options of the setting '${setting}'.`;
+		}
+		return null;
+	}
 
-		element.appendChild(this.generateDOM());
+	/**
+	 * @method #getHandler - Get the function to execute when a setting is set to a value.
+	 * @description The function is provided by the "handler" function of the setting's type, e.g. boolean settings execute their "onEnable" or "onDisable" function.
+	 * Without one, options based settings execute the "onSelect" function of the option matching the value, other settings execute the setting's "onChange" function.
+	 * @param {String} setting - The name of the setting.
+	 * @param {String} value - The serialized value.
+	 * @returns {function|undefined} - The function, or undefined if there is none.
+	 */
+	#getHandler(setting, value) {
+		var settingObject = this.#settings[setting];
+		var type = SettingsManager.#types[settingObject.type];
 
-		this.#attachEvents(element);
+		if (type.handler !== undefined) {
+			return type.handler(this.#typeContext(setting, value));
+		}
+		if (type.options) {
+			return (settingObject.options[value] !== undefined) ? settingObject.options[value].onSelect : undefined;
+		}
+		return settingObject.onChange;
+	}
 
-		return this;
+	/**
+	 * @method #displayValue - Get the human readable form of a setting's value, as displayed in the span of its button.TopButton.
+	 * @description The value is formatted by the "display" function of the setting's type, e.g. range settings display the value followed by their "unit".
+	 * Without one, options based settings display the label of the option matching the value, other settings display the escaped value.
+	 * @param {String} setting - The name of the setting.
+	 * @param {String} value - The serialized value.
+	 * @returns {String} - The human readable value.
+	 */
+	#displayValue(setting, value) {
+		var settingObject = this.#settings[setting];
+		var type = SettingsManager.#types[settingObject.type];
+
+		if (type.display !== undefined) {
+			return type.display(this.#typeContext(setting, value));
+		}
+		if (type.options && settingObject.options[value] !== undefined) {
+			return settingObject.options[value].label;
+		}
+		return this.#escapeHTML(value);
 	}
-	
-	// Private function to attach the click event to parent element
-	// The function is executed with the DOM element as argument.
-	// The click events should be bound to the provided element from the element argument so that the events work dynamically.
-	// The function should bind the click events for the button.SubButton and the button.TopButton.
-	// When the button.SubButton is clicked it should execute setSetting with the setting's name and the button.SubButton's value.
-	// If a button.TopButton of type "submenu" is clicked, it should open the div.SubMenu with the toggleSubMenu function passing on the event.target.
-	// If a button.TopButton of type "cycle" is clicked, it should execute setSetting with the setting's name and the button.TopButton's value.
-	// A "cycle" type button.TopButton should use the #getNextOption function to get the next option's value to pass to setSetting.
+
 	/**
-	 * @method #attachEvents - Attach the click events to the given parent element to handle click events for the settings buttons.
-	 * @param {HTMLElement} element - The DOM element to attach the click events to.
+	 * @method #escapeHTML - Escape a string for safe use inside HTML content and attribute values.
+	 * @param {String} string - The string to escape.
+	 * @returns {String} - The escaped string.
 	 */
-	#attachEvents(element) {
-		element.addEventListener("click", function (event) {
-			switch (event.target.className) {
-				case "TopButton":
-					// Switch statement to determine whether the type of the setting is "submenu" or "cycle".
-					switch (event.target.getAttribute("setting-type")) {
-						case "submenu":
-							// If the setting is a submenu, toggle the submenu.
-							this.toggleSubMenu(event.target);
-							break;
-						case "cycle":
-							// If the setting is a cycle, set the setting to the next option.
-							this.setSetting(event.target.name, { v: this.#getNextOption(event.target.name, event.target.value).n });
-							this.toggleSubMenu(event.target);
-							break;
-					}
-					break;
-				case "SubButton":
-					this.setSetting(event.target.name, { v: event.target.value });
-					break;
-			}
-		}.bind(this));
+	#escapeHTML(string) {
+		return String(string).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
 	}
 
-	// Toggle the open class on the submenu of a given settings button where the id of the submenu is the same as the setting's name.
-	// Remove the open class from all other submenus and add the open class to the submenu of the given settings button.
-	// The name of the button has a suffix of "Top" to indicate that it is a top button, this needs to be removed before it is used as a setting name to find the submenu.
-	// The button itself receives the "active" class to indicate that it is active while the submenu is open.
-	// Do not toggle the submenu closed if the button currently has the active class or if it is in a focused state (matches the document.activeElement).
-	// If the button has a setting-type of "cycle", all submenus should be closed and all buttons should have their active class removed.
 	/**
-	 * @method toggleSubMenu - Toggle the open class on the submenu of a given settings button where the id of the submenu is the same as the setting's name.
-	 * @param {HTMLElement} button - The settings button to toggle the submenu of.
+	 * @method #getCodec - Get the codec used to serialize a setting's values.
+	 * @description The codec is resolved from the setting's "valueType" property, see #codecFor().
+	 * @param {String} setting - The name of the setting.
+	 * @returns {Object} - The codec object containing the "encode" and "decode" functions.
 	 */
-	toggleSubMenu(button) {
-		var settingName = button.name.replace("Top", "");
-		var subMenu = document.getElementById(settingName);
-		
-		// remove the open class from all other submenus that are not the submenu of the button that is currently being clicked.
-		var subMenus = document.getElementsByClassName("SubMenu");
-		for (var i = 0; i < subMenus.length; i++) {
-			if (subMenus[i] !== subMenu) {
-				subMenus[i].classList.remove("open");
-			}
+	#getCodec(setting) {
+		var codec = SettingsManager.#codecFor(this.#settings[setting].valueType, this.#settings[setting].default);
+
+		if (codec === undefined) {
+			console.error(`SETTINGS: Unknown value type "${this.#settings[setting].valueType}" for the setting '${setting}', falling back to "string".`);
+			return SettingsManager.#codecs.string;
 		}
-		
-		// remove the active class from all other buttons that are not the button that is currently being clicked.
-		var buttons = document.getElementsByClassName("TopButton");
-		for (var i = 0; i < buttons.length; i++) {
-			if (buttons[i] !== button) {
-				buttons[i].classList.remove("active");
-			}
+
+		return codec;
+	}
+
+	/**
+	 * @method #codecFor (static) - Resolve a codec from a value type.
+	 * @description The value type is either the name of a built-in value type ("string", "number", "boolean" or "json") or a custom codec object with "encode" and "decode" functions.
+	 * If no value type is given, it is inferred from the type of the default value, falling back to "string".
+	 * @param {String|Object} valueType - The value type.
+	 * @param {*} defaultValue - The default value to infer the value type from.
+	 * @returns {Object|undefined} - The codec object, or undefined if the value type is unknown.
+	 */
+	static #codecFor(valueType, defaultValue) {
+		if (typeof valueType === "object" && valueType !== null) {
+			return valueType;
 		}
 
-		// if the button is not of the type "cycle", toggle the submenu open and add the active class to the button.
-		if (button.getAttribute("setting-type") !== "cycle") {
-			subMenu.classList.add("open");
-			button.classList.add("active");
+		if (valueType === undefined) {
+			switch (typeof defaultValue) {
+				case "number": valueType = "number"; break;
+				case "boolean": valueType = "boolean"; break;
+				case "object": valueType = "json"; break;
+				default: valueType = "string";
+			}
 		}
+
+		return SettingsManager.#codecs[valueType];
 	}
 
-	// Get the next option of a setting, looping back to the first option if the current option is the last option.
-	// Do not sort the options array.
 	/**
-	 * @method #getNextOption (private) - Get the next option of a setting, looping back to the first option if the current option is the last option.
-	 * @param {string} setting - The name of the setting to get the next option of.
-	 * @param {string} currentOption - The current option of the setting.
-	 * @returns {object} - An object containing the next option's name and option object.
+	 * @method #parseColor (static) - Parse a hex (#rgb, #rgba, #rrggbb or #rrggbbaa) or rgb()/rgba() color.
+	 * @param {String} color - The color to parse.
+	 * @returns {Object|null} - The color's channels as {r, g, b, a} from 0 to 255, or null if the color could not be parsed.
 	 */
-	#getNextOption(setting, currentOption = "") {
-		var settingOptions = this.#settings[setting].o; // get the options of the setting.
-		var currentOption = currentOption === "" ? this.getSetting(setting) : currentOption; // if no current option is provided, use the current setting value.
-		var settingOptionsArray = []; // create an array to store the options in.
-		for (var option in settingOptions) { // loop through the options.
-			settingOptionsArray.push(option); // add the option to the array.
-		}
-		
-		var currentOptionIndex = settingOptionsArray.indexOf(currentOption); // get the index of the current option.
-		if (currentOptionIndex === -1) { // if the current option is not in the array, try to JSON.stringify the current option and see if that is in the array.
-			currentOptionIndex = settingOptionsArray.indexOf(JSON.stringify(currentOption));
+	static #parseColor(color) {
+		if (typeof color !== "string") return null;
+		color = color.trim().toLowerCase();
+
+		var hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(color);
+		if (hex !== null) {
+			var digits = hex[1];
+			if (digits.length <= 4) digits = digits.split("").map((digit) => digit + digit).join("");
+			if (digits.length === 6) digits += "ff";
+			return { r: parseInt(digits.slice(0, 2), 16), g: parseInt(digits.slice(2, 4), 16), b: parseInt(digits.slice(4, 6), 16), a: parseInt(digits.slice(6, 8), 16) };
 		}
-		
-		if (currentOptionIndex === settingOptionsArray.length-1) { // if the current option is the last option, loop back to the first option.
-			return {
-				n: settingOptionsArray[0], // Option name
-				o: settingOptions[0] // Option value
-			};
-		} else { // if the current option is not the last option, get the next option.
-			return {
-				n: settingOptionsArray[currentOptionIndex + 1], // Option name
-				o: settingOptions[currentOptionIndex + 1] // Option value
-			};
+
+		var rgb = /^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,\s*(\d*\.?\d+)(%?)\s*)?\)$/.exec(color);
+		if (rgb !== null) {
+			var channels = [rgb[1], rgb[2], rgb[3]].map(Number);
+			var alpha = (rgb[4] === undefined) ? 1 : Number(rgb[4]) / ((rgb[5] === "%") ? 100 : 1);
+			if (channels.some((channel) => channel > 255) || alpha > 1) return null;
+			return { r: channels[0], g: channels[1], b: channels[2], a: Math.round(alpha * 255) };
 		}
+
+		return null;
 	}
 
-	// Alias for getnextOption.
 	/**
-	 * @method next - Get the next option of a setting, looping back to the first option if the current option is the last option.
-	 * @param {string} setting - The name of the setting to get the next option of.
-	 * @param {string} currentOption - The current option of the setting.
-	 * @returns {object} - An object containing the next option's name and option object.
+	 * @method #normalizeColor (static) - Normalize a color into the hex form color settings store their values in.
+	 * @param {String} color - The color to normalize, see #parseColor().
+	 * @param {Boolean} alpha - Whether to include the alpha channel (#rrggbbaa) instead of only allowing opaque colors (#rrggbb).
+	 * @returns {String|null} - The normalized color, or null if the color could not be parsed or is transparent without an alpha channel.
 	 */
-	next(setting, currentOption = "") { return this.#getNextOption(setting, currentOption); }
+	static #normalizeColor(color, alpha = false) {
+		var channels = SettingsManager.#parseColor(color);
+		if (channels === null || (channels.a < 255 && !alpha)) return null;
 
-	/* Public Getter and Setter functions */
+		var hex = (channel) => channel.toString(16).padStart(2, "0");
+		return "#" + hex(channels.r) + hex(channels.g) + hex(channels.b) + (alpha ? hex(channels.a) : "");
+	}
 
-		// Get the whole settings object.
-		/**
-		 * @method getSettings - Get the whole settings object.
-		 * @returns {object} - The settings object.
-		 */
-		getSettings() { return this.#settings; }
-	
-		// Get the setting's value.
-		/**
-		 * @method getSetting - Get the setting's value.
-		 * @param {string} setting - The name of the setting to get the value of.
-		 * @returns {string} - The value of the setting.
-		 */
-		getSetting(setting) {
-			try {
-				var value = localStorage.getItem(setting);
-				if(value === null) {
-					return this.#settings[setting].v;
-				} else {
-					return value;
-				}
-			} catch(e) {
-				console.log(e);
-				return null;
+	/**
+	 * @method #normalizeKeybinding (static) - Normalize a key combination into the canonical form keybinding settings store their values in.
+	 * @description The modifiers are written first in the order "Ctrl", "Alt", "Shift", "Meta" (also accepting names like "Control" or "Cmd"), followed by exactly one other key.
+	 * Single character keys are written in uppercase and named keys are capitalized, e.g. "shift+ctrl+k" becomes "Ctrl+Shift+K" and "alt+arrowup" becomes "Alt+ArrowUp".
+	 * @param {String} combo - The key combination, with the keys separated by "+".
+	 * @returns {String|null} - The normalized key combination, or null if it is not a valid key combination.
+	 */
+	static #normalizeKeybinding(combo) {
+		if (typeof combo !== "string") return null;
+
+		var modifiers = [];
+		var keys = [];
+		combo.split("+").map((key) => key.trim()).forEach((key) => {
+			var modifier = SettingsManager.#modifiers[key.toLowerCase()];
+			if (modifier !== undefined) {
+				if (!modifiers.includes(modifier)) modifiers.push(modifier);
+			} else {
+				keys.push((key.length === 1) ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1));
 			}
-		}
+		});
+		if (keys.length !== 1 || keys[0] === "") return null;
 
-		// Get the setting's object.
-		/**
-		 * @method getSettingObject - Get the setting's object.
-		 * @param {string} setting - The name of the setting to get the object of.
-		 * @returns {object} - The object of the setting.
-		 */
-		getSettingObject(setting) {
-			return this.#settings[setting];
-		}
+		var order = ["Ctrl", "Alt", "Shift", "Meta"];
+		modifiers.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+		return modifiers.concat(keys).join("+");
+	}
 
-		// Get the whole default settings object.
-		/**
-		 * @method getDefaultSettings - Get the whole default settings object.
-		 * @returns {object} - The default settings object.
-		 */
-		getDefaults() { return this.#defaults; }
+	/**
+	 * @method #keybindingFromEvent (static) - Get the key combination of a keydown event.
+	 * @description Letters and digits are taken from the physical key, so combinations with "Shift" are recorded as e.g. "Shift+1" instead of "Shift+!".
+	 * @param {KeyboardEvent} event - The keydown event.
+	 * @returns {String|null} - The normalized key combination, or null if only modifier keys are pressed.
+	 */
+	static #keybindingFromEvent(event) {
+		var key = event.key;
+		if (["Control", "Alt", "Shift", "Meta", "AltGraph", "OS"].includes(key)) return null;
 
-		// Get the setting's default value.
-		/**
-		 * @method getDefaultSetting - Get the setting's default value.
-		 * @param {string} setting - The name of the setting to get the default value of.
-		 * @returns {string} - The default value of the setting.
-		 */
-		getDefault(setting) {
-			return this.#defaults[setting].v;
-		}
+		var physical = /^(?:Key|Digit)(\w)$/.exec(event.code || "");
+		if (physical !== null) key = physical[1];
+		if (key === " ") key = "Space";
+		if (key === "+") key = "Plus";
 
-		// Get the setting's default object.
-		/**
-		 * @method getDefaultObject - Get the setting's default object.
-		 * @param {string} setting - The name of the setting to get the default object of.
-		 * @returns {object} - The default object of the setting.
-		 */
-		getDefaultObject(setting) {
-			return this.#defaults[setting];
+		var modifiers = [event.ctrlKey && "Ctrl", event.altKey && "Alt", event.shiftKey && "Shift", event.metaKey && "Meta"].filter(Boolean);
+		return SettingsManager.#normalizeKeybinding(modifiers.concat([key]).join("+"));
+	}
+
+	/**
+	 * @method #parseDate (static) - Parse the ISO formatted value of a date or time setting.
+	 * @description Time values are parsed as a time on the first of January 1970, so they can be formatted like dates.
+	 * @param {String} type - The setting's type, either "date", "time" or "datetime".
+	 * @param {String} value - The value to parse.
+	 * @returns {Date|null} - The date in local time, or null if the value is not in the type's format or does not exist (e.g. "2023-02-30").
+	 */
+	static #parseDate(type, value) {
+		var match = SettingsManager.#dateFormats[type].exec(value);
+		if (match === null) return null;
+
+		var [year, month, day, hours, minutes] = ["year", "month", "day", "hours", "minutes"].map((part) => (match.groups[part] === undefined) ? undefined : Number(match.groups[part]));
+		var date = new Date(year ?? 1970, (month ?? 1) - 1, day ?? 1, hours ?? 0, minutes ?? 0);
+
+		// The Date constructor rolls invalid dates and times over (e.g. the 30th of February into March), so those are detected by the rolled over parts.
+		if ((year !== undefined && date.getFullYear() !== year) || (month !== undefined && date.getMonth() !== month - 1) || (day !== undefined && date.getDate() !== day)
+			|| (hours !== undefined && date.getHours() !== hours) || (minutes !== undefined && date.getMinutes() !== minutes)) {
+			return null;
 		}
 
-		// Aliases for getSetting, getSettingObject, getDefault and getDefaultObject
-		get(setting) { return this.getSetting(setting); }
-		getObject = this.getSettingObject;
-		_get(setting) { return this.getDefault(setting); }
-		_getObject(setting) { return this.getDefaultObject(setting); }
+		return date;
+	}
 
-		// Set the setting's value to the given value.
-		// The function is executed with the setting's name and the setting's value as arguments.
-		// If the setting's options object matching the given value has a "f" property, the function should execute the setting's function passing the args argument as argument.
-		// If the args argument is not given, the function should execute the setting's function using executeSetting without passing any arguments.
-		// The setting should only be set if it matches one of the setting's options.
-		// If the setting is successfully set, the function "updateDOM" should be executed with the setting's name, value and error status as arguments.
-		/**
-		 * @method setSetting - Set the setting's value to the given value.
-		 * @param {string} setting - The name of the setting to set the value of.
-		 * @param {Object} args - The arguments to pass to the setting's function.
-		 * @param {string} args.v - The value to set the setting to.
-		 */
-		setSetting(setting, args = {v: undefined}) {
-			var settingOptions = this.#settings[setting].o; // get the options of the setting.
+	/**
+	 * @method #formatDate (static) - Format a date into the ISO formatted value of a date or time setting.
+	 * @param {String} type - The setting's type, either "date", "time" or "datetime".
+	 * @param {Date} date - The date to format, in local time.
+	 * @returns {String} - The ISO formatted value.
+	 */
+	static #formatDate(type, date) {
+		var pad = (number) => String(number).padStart(2, "0");
+		var day = String(date.getFullYear()).padStart(4, "0") + "-" + pad(date.getMonth() + 1) + "-" + pad(date.getDate());
+		var time = pad(date.getHours()) + ":" + pad(date.getMinutes());
 
-			try {
-				if (settingOptions[args.v] !== undefined) { // if the value is in the options object, set the setting.
-					try { // try to set the setting.
-						if (settingOptions[args.v].f !== undefined) { // if the setting has a function, execute the function.
-							(async ()=>{
-								await this.executeSetting(setting, {value: args.v, args: args});
-								localStorage.setItem(setting, args.v);
-							})();
-						} else { // if the setting has no function, set the setting.
-							try {
-								localStorage.setItem(setting, args.v);
-								this.updateDOM(setting, args.v, false);
-							} catch(e) {
-								console.error(e);
-								throw "Could not set the setting '" + setting + "' to '" + args.v + "'.\n Error: " + e;
-							}
-						}
-					} catch(e) {
-						console.error(e);
-						throw "Could not set the setting '" + setting + "' to '" + args.v + "'.\n Error: " + e;
-					} 
-				} else { // if the value is not in the options object, throw an error.
-					throw "The value '" + args.v + "' is not in the options of the setting '" + setting + "'.";
-				}
-			} catch(e) {
-				console.error(e);
-				this.updateDOM(setting, args.v, true);
-			}
+		return { date: day, time: time, datetime: day + "T" + time }[type];
+	}
 
-					// localStorage.setItem(setting, args.v);
-					// this.executeSetting(setting, {value: args.v, args: args});
-					// return true;
-				// } catch(e) {
-				// 	console.log(e);
-				// 	this.updateDOM(setting, args.v, true);
-				// 	return false;
-				// }
-			// } else {
-			// 	this.updateDOM(setting, args.v, true);
-			// 	return false;
-			// }
+	/**
+	 * @method #normalizeValue - Normalize a setting's serialized value into the form it is stored in, e.g. the hex form of a color or the ISO format of a date.
+	 * @description The value is normalized by the "parse" function of the setting's type, if it has one.
+	 * Values that can not be normalized are returned as they are, so #validateValue() can report the problem.
+	 * @param {String} setting - The name of the setting.
+	 * @param {String} value - The serialized value.
+	 * @returns {String} - The normalized serialized value.
+	 */
+	#normalizeValue(setting, value) {
+		var type = SettingsManager.#types[this.#settings[setting].type];
+
+		return (type.parse !== undefined) ? type.parse(value, this.#typeContext(setting, value)) : value;
+	}
+
+	/**
+	 * @method #encode - Serialize a setting's value into the string form it is stored under, which is also the key of the matching option.
+	 * @param {String} setting - The name of the setting.
+	 * @param {*} value - The value to serialize.
+	 * @returns {String} - The serialized value.
+	 */
+	#encode(setting, value) {
+		return this.#getCodec(setting).encode(value);
+	}
+
+	/**
+	 * @method #decode - Parse a setting's value into its typed form.
+	 * @description Only strings are decoded, as they are the serialized form coming from the storage backend or the DOM. Any other value is assumed to already be typed and is returned as is.
+	 * @param {String} setting - The name of the setting.
+	 * @param {*} value - The value to parse.
+	 * @returns {*} - The typed value.
+	 */
+	#decode(setting, value) {
+		if (typeof value !== "string") {
+			return value;
 		}
 
-		// Alias for setSetting
-		set(setting, args) { return this.setSetting(setting, args); }
-}
\ No newline at end of file
+		try {
+			return this.#getCodec(setting).decode(value);
+		} catch(e) {
+			console.error(`SETTINGS: Could not decode the value '${value}' of the setting '${setting}'.\n ${e}`);
+			return value;
+		}
+	}
+
+	/**
+	 * @method #watchForContainer - Watch for the container element to be added to the DOM and then insert the settings into the container.
+	 * @description This function is used when the container element is not yet in the DOM when the instance of the Settings class is created.
+	 * @param {String} container - The container element query selector to watch for.
+	 * @param {Object} args - Optional arguments.
+	 * @param {Boolean} args.DOM - Whether to insert the settings into the container element or not upon the container element being detected in the DOM.
+	 * @param {Boolean} args.init - Whether to initialize the settings or not upon the container element being detected in the DOM.
+	 * @returns {Settings} - The Settings class instance.
+	 */
+	#watchForContainer(args = {container: this.#container.original, DOM: true, init: true}) {
+		console.debug(`%cSETTINGS: %c#watchForContainer() %chas started for container element "${args.container}"`, 'color: #0f0;', 'color: #00f;', 'color: #0f0;');
+
+		// Resolve the container element from the provided query selector.
+		var resolveElement = this.#resolveElement(args.container);
+		var that = this;
+
+		// Internal function to handle the insertDOM and init functions.
+		var insertDOMAndInit = ()=>{
+			// Insert the settings into the container element.
+			if (args.DOM === true) {
+				try {
+					(this.#container.hydrate) ? this.hydrate(this.#container.element) : this.insertDOM(this.#container.element);
+				} catch (e) {
+					console.error(`SETTINGS: %cwatchForContainer() %cError inserting settings into DOM, the container element is not valid or does not exist (yet). \n ${e}`, "color: #00f;", "color: initial;");
+				}
+			}
+
+			// Initialize the settings
+			if (args.init === true) {
+				try {
+					this.init();
+				} catch (e) {
+					console.error(`SETTINGS: %cwatchForContainer() %cError initializing settings. \n ${e}`, "color: #00f;", "color: initial;");
+				}
+			}
+		}
+
+		// Check if the container element is already in the DOM upon running the function.
+		if (resolveElement !== null) {
+			console.debug(`%cSETTINGS: Container element already in the DOM at the time of %cwatchForContainer() %cexecution, running insertDOM() and init() functions.`, 'color: #0f0;', 'color: #00f;', 'color: #0f0;');
+
+			// Set the container element to the resolved element.
+			this.#container.element = resolveElement;
+
+			// If the container element is already in the DOM, insert the settings into the container element.
+			insertDOMAndInit();
+
+			return this;
+		}
+
+		// Check if an observer has already been created and if so, do not create another one.
+		if (this.#container.observer == null) {
+			// If the container element is not yet in the DOM, use a mutation observer to wait for it to be added to the DOM.
+			this.#container.observer = new MutationObserver(function(mutations) {
+				if (document.querySelector(args.container)) {
+					console.debug(`%cSETTINGS: %cwatchForContainer() %cContainer element detected in the DOM, running insertDOM() and init() functions.`, 'color: #0f0;', 'color: #00f;', 'color: #0f0;');
+
+					// Set the container element to the awaited element.
+					that.#container.element = document.querySelector(args.container);
+
+					// If the container element is detected in the DOM, insert the settings into the container element and initialize the settings.
+					insertDOMAndInit();
+
+					// Stop the mutation observer.
+					that.#container.observer.disconnect();
+				}
+			});
+
+			// Set the observer to observe the container element.
+			console.debug(`%cSETTINGS: %cwatchForContainer() %cMutation Observer now watching for container element to be added to the DOM.`, 'color: #0f0;', 'color: #00f;', 'color: #0f0;');
+			this.#container.observer.observe(document, {childList: true, subtree: true});
+		}
+
+		return this;
+	}
+
+	// Execute the function associated with the setting's options matching the value defined as the optional "value" argument, or the setting's "onChange" function for settings that are not options based.
+	// If there is no value argument, it will substitute the setting's current value.
+	// If there is no current value, it will substitute the setting's default value.
+	// This function has an optional "args" argument that is an object of arguments to pass to the function associated with the setting's options matching the value.
+	// If "args" is not defined, the function is executed with no arguments.
+	// This function is executed whenever a setting is updated.
+	// The function associated with the setting's options matching the value returns true if the function was executed successfully, false otherwise.
+	// If the function returns true, another function named "updateDOM" is executed to reflect the change in the setting in the DOM.
+	/**
+	 * @method executeSetting - Execute the function associated with the setting's options matching the value defined as the optional "value" argument.
+	 * @param {String} setting - The setting to execute the function for.
+	 * @param {Object} args - The arguments to pass to the function associated with the setting's options matching the value.
+	 * @param {*} args.value - The value to pass to the function associated with the setting's options matching the value, either typed or in its serialized form.
+	 * @param {Object} args.args - The arguments to pass directly to the function associated with the setting's options matching the value.
+	 * @param {Object} args.args.this - Optional / Overridable. The context of the setting the option this function is associated with belongs to.
+	 * @param {Object} args.args.s - DO NOT OVERRIDE. The Settings class' context, equivalent to "this" inside of the Settings class. Gives access to the Settings class' functions.
+	 * @returns {Boolean} - True if the function was executed successfully, false otherwise.
+	 */
+	executeSetting(setting, args = {}) {
+		var value = (args.value !== undefined) ? args.value : this.#defaults[setting].default;
+			value = this.#encode(setting, this.#decode(setting, value)); // The option matching the value is keyed by its serialized form.
+		var argsPassed = args.args || {};
+			argsPassed.s = this;
+			argsPassed.this = this.#settings[setting];
+			argsPassed.value = this.#decode(setting, value);
+		var handler = this.#getHandler(setting, value);
+		try {
+			if (handler !== undefined) {
+				(async () => {
+					try {
+						var result = await handler(argsPassed);
+						if (result === true) {
+							this.updateDOM(setting, value);
+						} else {
+							this.updateDOM(setting, value, true);
+						}
+					} catch(e) {
+						this.updateDOM(setting, value, true);
+						console.error(`SETTINGS: Error executing the option's function for ${setting}["${value}"].\n Result: ${result}\n ${e}`);
+					}
+				})();
+			} else {
+				this.updateDOM(setting, value);
+			}
+		} catch(e) {
+			console.error(`SETTINGS: Error executing the option's function for ${setting}["${value}"].\n ${e}`);
+			//
+		}
+	}
+
+	// Update the DOM elements associated with a given setting to reflect the setting's current value or a given value.
+	// This function is executed whenever a setting is updated.
+	// The function is executed with the setting's name and value as arguments.
+	// The function should update the DOM elements associated with the setting to reflect the setting's current value or a given value.
+	// The function should update the value of the button.TopButton to reflect the setting's current value or a given value.
+	// The function should set add the "active" class to the button.SubButton which value matches the setting's current value or a given value and remove the "active" class from all button.SubButton which value does not match the setting's current value or a given value.
+	// The span inside the button.TopButton should contain the setting's current value or a given value.
+	// If there was a problem in setting the setting's value, the span inside the button.TopButton should get the "error" class (colored by the stylesheet) and an error message should be displayed in the console.
+	// If the setting is currently disabled, the "error" class should not be applied.
+	// If the error is given as a message, it is displayed in the setting's .SubMessage element if it has one.
+	/**
+	 * @method updateDOM - Update the DOM elements associated with a given setting to reflect the setting's current value or a given value.
+	 * @param {String} setting - The setting to update the DOM elements for.
+	 * @param {*} value - The value to update the DOM elements to, either typed or in its serialized form.
+	 * @param {Boolean|String} error - Optional. True or a message describing the problem if there was an error setting the setting's value, false otherwise.
+	 */
+	updateDOM(setting, value, error = false) {
+		// If there is no DOM element for the settings container or the setting itself, throw an error.
+		if (this.#container.element === null || this.#container.element === undefined) {
+			console.error(`SETTINGS: Could not update the DOM elements for ${setting}["${value}"] because the settings container is not defined. \n Settings container: ${this.#container}`);
+			return false;
+		} else if (this.#container.element.children.length === 0) { 
+			console.error(`SETTINGS: Could not update the DOM elements for ${setting}["${value}"] because the settings container does not have any children (and thus no settings UI). \n Settings container: ${this.#container}`);
+			return false;
+		}
+
+		try {
+			var elements = this.#settingElements(setting, this.#container.element);
+			if (elements.button === null) {
+				console.error(`SETTINGS: Could not update the DOM elements for ${setting}["${value}"] because the settings container does not contain its button.TopButton.`);
+				return false;
+			}
+			var message = (elements.subMenu !== null) ? elements.subMenu.querySelector(".SubMessage") : null;
+			var span = elements.button.querySelector("span");
+			var type = SettingsManager.#types[this.#settings[setting].type];
+
+			var settingValue = (value !== undefined) ? value : this.#defaults[setting].default;
+				settingValue = this.#encode(setting, this.#decode(setting, settingValue));
+			var settingOptionName = this.#displayValue(setting, settingValue);
+			
+			var isDisabled = elements.button.hasAttribute("disabled");
+
+			// Update the button.TopButton to reflect the setting's current value or a given value.
+			elements.button.value = settingValue;
+
+			// Let the setting's type update the rest of its UI, e.g. the Active class of the button.SubButton matching the value.
+			// If there was an error, inputs keep their value so the user can correct it.
+			if (type.update !== undefined && (!type.subMenu || elements.subMenu !== null)) {
+				type.update(this.#typeContext(setting, settingValue, { button: elements.button, subMenu: elements.subMenu, error: error }));
+			}
+			this.#updateCheckedState(elements.button);
+
+			// Show the error message, if any, in the .SubMessage element of the setting.
+			if (message !== null) {
+				message.textContent = (typeof error === "string") ? error : "";
+			}
+
+			// Update the span element content to reflect the setting's current value or a given value.
+			// The span element is inside the button.TopButton.
+			// Give the span element the "error" class if there was a problem in setting the setting's value, which the stylesheet colors.
+			span.innerHTML = settingOptionName;
+			this.#toggleState(span, "error", Boolean(error && !isDisabled));
+
+			return true;
+		} catch(e) {
+			console.error(`SETTINGS: Error updating the DOM elements for ${setting}["${value}"].\n ${e}`);
+			return false;
+		}
+	}
+
+	/**
+	 * @method #settingElements (private) - Find the button.TopButton and div.SubMenu of a setting.
+	 * @param {String} setting - The name of the setting.
+	 * @param {HTMLElement} root - The element to search in.
+	 * @returns {Object} - The setting's "button" and "subMenu" elements, null if not found or if the setting's type has no div.SubMenu.
+	 */
+	#settingElements(setting, root) {
+		var subMenu = this.#hasSubMenu(setting);
+
+		return {
+			button: root.querySelector("button.TopButton[name=\"" + CSS.escape(setting + (subMenu ? "Top" : "")) + "\"]"),
+			subMenu: subMenu ? root.querySelector("div.SubMenu[id=\"" + CSS.escape(setting) + "\"]") : null,
+		};
+	}
+
+	/**
+	 * @method #hasSubMenu (private) - Check whether a setting gets a div.SubMenu, which is the case if its type has one and the setting is not computed, as computed settings can not be set.
+	 * @param {String} setting - The name of the setting.
+	 * @returns {Boolean} - True if the setting gets a div.SubMenu, false otherwise.
+	 */
+	#hasSubMenu(setting) {
+		return SettingsManager.#types[this.#settings[setting].type].subMenu && this.#settings[setting].compute === undefined;
+	}
+
+	// Generate a DOM structure inside of a DocumentFragment for the settings buttons and return it.
+	// Each settings button is a button with a class of "TopButton" and a name matching the setting's name.
+	// The button.TopButton has an attribute of "desc" matching the setting's description.
+	// The button.TopButton has a label and a span element inside of it that contain the setting's name as well as the setting's default value or current value if it is set.
+	// The button.TopButton if followed by a div element with a class of "SubMenu" containing a list of button.SubButton for each setting's option.
+	// The button.SubButton have a value matching the setting's option's value.
+	// The button.SubButton have a b element inside them that contains the setting's option's value.
+	// If the button.SubButton's value matches the setting's current value or default value, the button.SubButton should have the class "active".
+	// The function is executed with the setting's name and the button.SubButton's value as arguments.
+	// The button.TopButton and div.SubMenu have tabindex attributes of "-1" to prevent them from being focused.
+	// The content of the div.SubMenu and any changes to the button.TopButton (e.g. the role of "switch" of boolean settings) are rendered by the setting's type, see registerType().
+	// Settings whose type has no div.SubMenu (e.g. "cycle") only get the button.TopButton, which is named after the setting without the "Top" suffix.
+	// Computed settings only get the button.TopButton as well, with the class "Computed" and an aria-readonly attribute, as they can not be set.
+	// Settings and options whose "visibleWhen" condition is not met are hidden, those whose "enabledWhen" condition is not met are disabled, see #applyConditions.
+	// Settings with a "section" are placed inside the div.SectionContent of their section, see #generateSectionDOM. The sections follow the settings without a section, in the order they are defined in.
+	// If a template manager was provided, the elements are rendered through its templates, see settings-template-manager.js. The "setting" and "container" templates wrap the elements of each setting and the whole settings UI, which are not wrapped without them.
+	/**
+	 * @method generateDOM - Generate a DOM structure inside of a DocumentFragment for the settings buttons and return it.
+	 * @returns {DocumentFragment|HTMLElement} - The DocumentFragment containing the settings buttons, or the element rendered by the "container" template.
+	 */
+	generateDOM() {
+		var settings = this.#settings;
+		var settingsDOM = document.createDocumentFragment();
+
+		var sectionsContent = {};
+		for (var section in this.#sections) {
+			sectionsContent[section] = document.createDocumentFragment();
+		}
+
+		for(var setting in settings) {
+			var settingName = setting;
+			var settingNameText = settings[setting].label;
+			var settingDescription = settings[setting].description || "";
+			var settingValue = this.#encode(setting, this.#decode(setting, settings[setting].default));
+			var settingType = settings[setting].type;
+			var settingOptionName = this.#displayValue(setting, settingValue);
+			var settingButtonAttributes = settings[setting].attributes;
+			var type = SettingsManager.#types[settingType];
+			var parentDOM = (sectionsContent[settings[setting].section] !== undefined) ? sectionsContent[settings[setting].section] : settingsDOM;
+			var templateContext = this.#settingTemplateContext(setting, settingValue);
+
+
+			var descriptionDOM = null;
+			if (settingDescription !== "") {
+				var descriptionTemplate = document.createElement("template");
+				descriptionTemplate.innerHTML = this.#renderDescription(setting);
+				descriptionDOM = descriptionTemplate.content;
+			}
+
+			var settingDOM = this.#renderTemplate("settingButton", templateContext, descriptionDOM, (content) => {
+				var buttonDOM = document.createElement("button");
+				buttonDOM.innerHTML = "<label>" + settingNameText + "</label><span>" + settingOptionName + "</span>";
+				if (content !== null) {
+					buttonDOM.appendChild(content);
+				}
+				return buttonDOM;
+			});
+			settingDOM.classList.add("TopButton");
+			settingDOM.name = templateContext.name;
+			settingDOM.setAttribute("tabindex", "-1");
+			settingDOM.setAttribute("desc", settingDescription);
+			settingDOM.setAttribute("setting-type", settingType);
+			var ariaAttributes = this.#ariaAttributes(setting);
+			for (var attribute in ariaAttributes.button) {
+				if (ariaAttributes.button[attribute] !== undefined) settingDOM.setAttribute(attribute, ariaAttributes.button[attribute]);
+			}
+			if (settingDOM.querySelector("span") === null) {
+				settingDOM.appendChild(document.createElement("span")).innerHTML = settingOptionName;
+			}
+
+			if (settings[setting].compute !== undefined) {
+				settingDOM.classList.add("Computed");
+				settingDOM.setAttribute("aria-readonly", "true");
+			}
+
+			// Let the setting's type render its UI, which can also modify the button.TopButton.
+			// Computed settings of a type with a div.SubMenu are not rendered by their type, as they do not get the div.SubMenu.
+			var rendered = !type.subMenu || this.#hasSubMenu(setting);
+			var context = this.#typeContext(setting, settingValue, { button: settingDOM, subMenu: null, error: false });
+			var content = (type.render !== undefined && rendered) ? type.render(context) : undefined;
+
+			if (settingButtonAttributes !== undefined) {
+				for (var attribute in settingButtonAttributes) {
+					if (settingButtonAttributes[attribute] instanceof Array) {
+						settingDOM.setAttribute(settingButtonAttributes[attribute][0], settingButtonAttributes[attribute][1]);
+					} else {
+						settingDOM.setAttribute(settingButtonAttributes[attribute], "true");
+					}
+				}
+			}
+
+			var elementsDOM = document.createDocumentFragment();
+			elementsDOM.appendChild(settingDOM);
+
+			// If the setting's type has a submenu, generate a div.SubMenu element containing the rendered UI and append it after the settingDOM.
+			if (this.#hasSubMenu(setting)) {
+				if (typeof content === "string") {
+					var contentDOM = document.createElement("template");
+					contentDOM.innerHTML = content;
+					content = contentDOM.content;
+				}
+
+				var subMenuDOM = this.#renderTemplate("settingSubmenu", templateContext, (content instanceof Node) ? content : null, (content) => {
+					var subMenuDOM = document.createElement("div");
+					if (content !== null) {
+						subMenuDOM.appendChild(content);
+					}
+					return subMenuDOM;
+				});
+				subMenuDOM.classList.add("SubMenu");
+				subMenuDOM.id = settingName;
+				subMenuDOM.setAttribute("tabindex", "-1");
+				for (var attribute in ariaAttributes.subMenu) {
+					subMenuDOM.setAttribute(attribute, ariaAttributes.subMenu[attribute]);
+				}
+				this.#toggleSubMenuState(subMenuDOM, null, false);
+
+				context.subMenu = subMenuDOM;
+				elementsDOM.appendChild(subMenuDOM);
+			}
+
+			// Wrap the elements of the setting with the "setting" template, if any. The wrapper gets the class "Setting" and a "setting" attribute matching the setting's name.
+			var wrapperDOM = this.#renderTemplate("setting", templateContext, elementsDOM, (content) => content);
+			if (wrapperDOM instanceof HTMLElement) {
+				wrapperDOM.classList.add("Setting");
+				wrapperDOM.setAttribute("setting", setting);
+			}
+			parentDOM.appendChild(wrapperDOM);
+
+			// Reflect the setting's value in the rendered UI, e.g. the Active class of the button.SubButton matching the value.
+			if (type.update !== undefined && rendered) {
+				type.update(context);
+			}
+			this.#updateCheckedState(settingDOM);
+
+			// Hide or disable the setting and its options according to their conditions.
+			this.#applyConditions(setting, { button: settingDOM, subMenu: context.subMenu });
+		}
+
+		// Append the sections that contain any settings.
+		for (var section in sectionsContent) {
+			if (sectionsContent[section].querySelector(".TopButton") !== null) {
+				settingsDOM.appendChild(this.#generateSectionDOM(section, sectionsContent[section]));
+			}
+		}
+
+		// Wrap the settings UI with the "container" template, if any.
+		return this.#renderTemplate("container", {}, settingsDOM, (content) => content);
+	}
+
+	// Render an element of the settings UI through the template manager if it has a template for it, or generate the built-in markup with the given fallback function otherwise.
+	/**
+	 * @method #renderTemplate (private) - Render an element of the settings UI.
+	 * @param {String} name - The name of the template, see SettingsTemplateManager.templateNames.
+	 * @param {Object} context - The context to render the template with, "manager" is added to it.
+	 * @param {Node|null} content - The nested elements to insert into the rendered element, if any.
+	 * @param {Function} fallback - The function generating the built-in markup, called with the content.
+	 * @returns {Node} - The rendered element.
+	 */
+	#renderTemplate(name, context, content, fallback) {
+		if (this.#templates === null || !this.#templates.hasTemplate(name)) {
+			return fallback(content);
+		}
+
+		return this.#templates.renderElement(name, Object.assign({ manager: this }, context), content);
+	}
+
+	// Render an element of the settings UI to an HTML string through the template manager if it has a template for it, or generate the built-in markup with the given fallback function otherwise.
+	// The given attributes are added to the element rendered by the template, the fallback function has to add them itself.
+	/**
+	 * @method #renderTemplateString (private) - Render an element of the settings UI to an HTML string.
+	 * @param {String} name - The name of the template, see SettingsTemplateManager.templateNames.
+	 * @param {Object} context - The context to render the template with, "manager" is added to it.
+	 * @param {String} content - The HTML of the nested elements.
+	 * @param {Object} attributes - The attributes the settings manager relies on, keyed by name.
+	 * @param {Function} fallback - The function generating the built-in markup, called with the content.
+	 * @returns {String} - The HTML of the element.
+	 */
+	#renderTemplateString(name, context, content, attributes, fallback) {
+		if (this.#templates === null || !this.#templates.hasTemplate(name)) {
+			return fallback(content);
+		}
+
+		return this.#templates.renderString(name, Object.assign({ manager: this }, context), content, attributes);
+	}
+
+	/**
+	 * @method #settingTemplateContext (private) - Get the context the templates of a setting are rendered with, see settings-template-manager.js.
+	 * @param {String} setting - The name of the setting.
+	 * @param {String} value - The serialized value the setting is rendered with.
+	 * @returns {Object} - The context.
+	 */
+	#settingTemplateContext(setting, value) {
+		var settingObject = this.#settings[setting];
+
+		return {
+			setting: setting,
+			object: settingObject,
+			label: settingObject.label,
+			description: settingObject.description || "",
+			type: settingObject.type,
+			value: value,
+			display: this.#displayValue(setting, value),
+			name: this.#hasSubMenu(setting) ? setting + "Top" : setting,
+			subMenu: this.#hasSubMenu(setting),
+			computed: settingObject.compute !== undefined,
+		};
+	}
+
+	/**
+	 * @method #sectionTemplateContext (private) - Get the context the template of a section is rendered with, see settings-template-manager.js.
+	 * @param {String} section - The name of the section.
+	 * @returns {Object} - The context.
+	 */
+	#sectionTemplateContext(section) {
+		var sectionObject = this.#sections[section];
+
+		return {
+			section: section,
+			object: sectionObject,
+			label: sectionObject.label,
+			description: sectionObject.description,
+			expanded: this.isSectionExpanded(section),
+			hidden: this.isSectionHidden(section),
+		};
+	}
+
+	// Render the whole settings UI to an HTML string without using the DOM, e.g. on a server so the settings UI is part of the page before any script runs.
+	// The settings are rendered with the given values, or with their stored values (e.g. from a storage adapter on the server) or default values otherwise. Computed settings are computed from them.
+	// The markup matches the markup of generateDOM, including the templates of the template manager, which have to return HTML strings instead of DOM nodes.
+	// The types render the same way as well, with the difference that the "button" they can modify only supports changing its attributes and classes, and that the div.SubMenu of a type rendering DOM nodes instead of an HTML string is left empty.
+	// The markup is made interactive in the browser with hydrate(), or with the "hydrate" parameter of the constructor.
+	/**
+	 * @method renderToString - Render the settings UI to an HTML string.
+	 * @param {Object} values - Optional. The values to render the settings with, typed or serialized and keyed by the settings' names.
+	 * @returns {String} - The HTML of the settings UI.
+	 *
+	 * @example
+	 * // On the server, render the settings UI with the values stored for the user.
+	 * var settingsManager = new SettingsManager({settings: settingsList, storage: "memory"});
+	 * var html = `<div id="settings-container">${settingsManager.renderToString(user.settings)}</div>`;
+	 *
+	 * // In the browser, hydrate the rendered settings UI.
+	 * var settingsManager = new SettingsManager({settings: settingsList, container: "#settings-container", hydrate: true});
+	 */
+	renderToString(values = {}) {
+		// getSetting returns the given values while the settings UI is rendered, so the displayed values, the conditions and the computed settings all use them.
+		var overrides = {};
+		for (var setting in values) {
+			if (this.#settings[setting] === undefined || this.#settings[setting].compute !== undefined) {
+				console.warn(`SETTINGS: The value given to renderToString() for '${setting}' is ignored, as it is not a setting that can be set.`);
+				continue;
+			}
+			try {
+				var value = this.#normalizeValue(setting, this.#encode(setting, this.#decode(setting, values[setting])));
+				var problem = this.#validateValue(setting, value);
+				if (problem !== null) throw problem;
+				overrides[setting] = value;
+			} catch(e) {
+				console.error(`SETTINGS: The value given to renderToString() for the setting '${setting}' is not valid, its stored or default value is rendered instead.\n ${e}`);
+			}
+		}
+
+		this.#overrides = overrides;
+		try {
+			var settings = this.#settings;
+			var settingsHTML = "";
+
+			var sectionsHTML = {};
+			for (var section in this.#sections) {
+				sectionsHTML[section] = "";
+			}
+
+			for (var setting in settings) {
+				var settingValue = this.#encode(setting, this.getSetting(setting));
+				var type = SettingsManager.#types[settings[setting].type];
+				var templateContext = this.#settingTemplateContext(setting, settingValue);
+				var visible = this.isSettingVisible(setting);
+
+				// The attributes of the button.TopButton, which the setting's type can change through the "button" of its context.
+				var ariaAttributes = this.#ariaAttributes(setting);
+				var buttonAttributes = Object.assign({
+					class: "TopButton" + (templateContext.computed ? " Computed" : ""),
+					name: templateContext.name,
+					tabindex: "-1",
+					desc: templateContext.description,
+					"setting-type": settings[setting].type,
+					"aria-readonly": templateContext.computed ? "true" : undefined,
+				}, ariaAttributes.button);
+
+				var rendered = !type.subMenu || this.#hasSubMenu(setting);
+				var context = this.#typeContext(setting, settingValue, { button: this.#markupElement(buttonAttributes), subMenu: null, error: false });
+				var content = (type.render !== undefined && rendered) ? type.render(context) : undefined;
+				this.#updateCheckedState(context.button);
+				if (typeof content === "object" && content !== null) {
+					console.error(`SETTINGS: The type '${settings[setting].type}' of the setting '${setting}' renders DOM nodes, which can not be rendered to a string. Its div.SubMenu is left empty.`);
+					content = undefined;
+				}
+
+				var settingButtonAttributes = settings[setting].attributes;
+				if (settingButtonAttributes !== undefined) {
+					for (var attribute in settingButtonAttributes) {
+						if (settingButtonAttributes[attribute] instanceof Array) {
+							buttonAttributes[settingButtonAttributes[attribute][0]] = settingButtonAttributes[attribute][1];
+						} else {
+							buttonAttributes[settingButtonAttributes[attribute]] = "true";
+						}
+					}
+				}
+
+				// Hide or disable the setting according to its conditions, like #applyConditions does.
+				if (!visible) {
+					buttonAttributes.hidden = true;
+				}
+				if (settings[setting].enabledWhen !== undefined && !this.isSettingEnabled(setting)) {
+					buttonAttributes.disabled = true;
+				}
+				buttonAttributes.value = settingValue;
+
+				var descriptionHTML = (templateContext.description !== "") ? this.#renderDescription(setting) : "";
+				var settingHTML = this.#renderTemplateString("settingButton", templateContext, descriptionHTML, buttonAttributes, (content) => this.#renderTag("button", buttonAttributes, "<label>" + templateContext.label + "</label><span>" + templateContext.display + "</span>" + content));
+
+				if (this.#hasSubMenu(setting)) {
+					var subMenuAttributes = Object.assign({ class: "SubMenu", id: setting, tabindex: "-1", hidden: !visible }, ariaAttributes.subMenu);
+					this.#toggleSubMenuState(this.#markupElement(subMenuAttributes), null, false);
+					settingHTML += this.#renderTemplateString("settingSubmenu", templateContext, content || "", subMenuAttributes, (content) => this.#renderTag("div", subMenuAttributes, content));
+				}
+
+				settingHTML = this.#renderTemplateString("setting", templateContext, settingHTML, { class: "Setting", setting: setting, hidden: !visible }, (content) => content);
+
+				if (sectionsHTML[settings[setting].section] !== undefined) {
+					sectionsHTML[settings[setting].section] += settingHTML;
+				} else {
+					settingsHTML += settingHTML;
+				}
+			}
+
+			// Append the sections that contain any settings.
+			for (var section in sectionsHTML) {
+				if (sectionsHTML[section] === "") continue;
+
+				var sectionContext = this.#sectionTemplateContext(section);
+				var sectionAttributes = { class: "Section" + (sectionContext.expanded ? " open" : ""), section: section, hidden: sectionContext.hidden };
+				settingsHTML += this.#renderTemplateString("section", sectionContext, sectionsHTML[section], sectionAttributes, (content) => this.#renderTag("div", sectionAttributes,
+					this.#renderTag("button", { class: "SectionButton", name: section, tabindex: "-1", "aria-controls": section + "Section", "aria-expanded": String(sectionContext.expanded) }, "<label>" + sectionContext.label + "</label>") +
+					this.#renderTag("div", { class: "SectionContent", id: section + "Section", hidden: !sectionContext.expanded }, ((sectionContext.description !== undefined) ? this.#renderTag("p", { class: "SectionDescription" }, sectionContext.description) : "") + content)
+				));
+			}
+
+			return this.#renderTemplateString("container", {}, settingsHTML, {}, (content) => content);
+		} finally {
+			this.#overrides = null;
+		}
+	}
+
+	// Get an object standing in for an element while the settings UI is rendered to a string, which applies changes to the element's attributes and classes to the given attributes object.
+	/**
+	 * @method #markupElement (private) - Get an object standing in for an element while rendering to a string.
+	 * @param {Object} attributes - The attributes of the element, keyed by name.
+	 * @returns {Object} - The object, with the attribute functions and the classList of an element.
+	 */
+	#markupElement(attributes) {
+		var classes = () => (attributes.class || "").split(" ").filter((name) => name !== "");
+
+		var element = {
+			getAttribute: (name) => element.hasAttribute(name) ? String(attributes[name]) : null,
+			setAttribute: (name, value) => { attributes[name] = String(value); },
+			hasAttribute: (name) => attributes[name] !== undefined && attributes[name] !== null && attributes[name] !== false,
+			removeAttribute: (name) => { delete attributes[name]; },
+			toggleAttribute: (name, force = !element.hasAttribute(name)) => {
+				force ? (attributes[name] = true) : delete attributes[name];
+				return force;
+			},
+			classList: {
+				contains: (name) => classes().includes(name),
+				add: (...names) => { attributes.class = classes().concat(names.filter((name) => !classes().includes(name))).join(" "); },
+				remove: (...names) => { attributes.class = classes().filter((name) => !names.includes(name)).join(" "); },
+				toggle: (name, force = !classes().includes(name)) => {
+					force ? element.classList.add(name) : element.classList.remove(name);
+					return force;
+				},
+			},
+		};
+
+		return element;
+	}
+
+	// Generate the div.Section of a section, containing a button.SectionButton to expand and collapse the section with and a div.SectionContent for the section's settings.
+	// The div.Section has a "section" attribute matching the section's name and the class "open" while it is expanded, the button.SectionButton has a name matching the section's name.
+	// The div.SectionContent has an id of the section's name followed by "Section", and starts with a p.SectionDescription containing the section's description if it has one.
+	// A "section" template has to render the button.SectionButton and the div.SectionContent itself, with the classes "SectionButton" and "SectionContent".
+	/**
+	 * @method #generateSectionDOM (private) - Generate the elements of a section.
+	 * @param {String} section - The name of the section.
+	 * @param {Node} content - The elements of the section's settings.
+	 * @returns {HTMLElement} - The div.Section element.
+	 */
+	#generateSectionDOM(section, content) {
+		var sectionObject = this.#sections[section];
+		var templateContext = this.#sectionTemplateContext(section);
+
+		var sectionDOM = this.#renderTemplate("section", templateContext, content, (content) => {
+			var sectionDOM = document.createElement("div");
+
+			var buttonDOM = document.createElement("button");
+			buttonDOM.className = "SectionButton";
+			buttonDOM.innerHTML = "<label>" + sectionObject.label + "</label>";
+			sectionDOM.appendChild(buttonDOM);
+
+			var contentDOM = document.createElement("div");
+			contentDOM.className = "SectionContent";
+			if (sectionObject.description !== undefined) {
+				var descriptionDOM = document.createElement("p");
+				descriptionDOM.className = "SectionDescription";
+				descriptionDOM.innerHTML = sectionObject.description;
+				contentDOM.appendChild(descriptionDOM);
+			}
+			contentDOM.appendChild(content);
+			sectionDOM.appendChild(contentDOM);
+
+			return sectionDOM;
+		});
+		sectionDOM.classList.add("Section");
+		sectionDOM.setAttribute("section", section);
+
+		this.#prepareSectionDOM(section, sectionDOM);
+		return sectionDOM;
+	}
+
+	// Add the attributes the settings manager relies on to the button.SectionButton and div.SectionContent of a section, which a "section" template renders itself, and update them to the section's state.
+	/**
+	 * @method #prepareSectionDOM (private) - Prepare the elements of a section.
+	 * @param {String} section - The name of the section.
+	 * @param {HTMLElement} sectionDOM - The div.Section element.
+	 */
+	#prepareSectionDOM(section, sectionDOM) {
+		var buttonDOM = sectionDOM.querySelector(".SectionButton");
+		var contentDOM = sectionDOM.querySelector(".SectionContent");
+		if (buttonDOM === null || contentDOM === null) {
+			throw new Error(`SETTINGS: The "section" template of the section '${section}' must render a .SectionButton and a .SectionContent element.`);
+		}
+		buttonDOM.name = section;
+		buttonDOM.setAttribute("tabindex", "-1");
+		buttonDOM.setAttribute("aria-controls", section + "Section");
+		contentDOM.id = section + "Section";
+
+		this.#updateSectionDOM(section, sectionDOM);
+	}
+
+	/**
+	 * @method #updateSectionDOM (private) - Update the elements of a section to reflect whether it is expanded and whether it is hidden.
+	 * @param {String} section - The name of the section.
+	 * @param {HTMLElement} sectionDOM - Optional. The div.Section element, defaults to the one inside the settings container.
+	 */
+	#updateSectionDOM(section, sectionDOM) {
+		if (sectionDOM === undefined) {
+			if (this.#container.element === null || this.#container.element === undefined) return;
+			sectionDOM = this.#container.element.querySelector(".Section[section=\"" + CSS.escape(section) + "\"]");
+		}
+		if (sectionDOM === null) return;
+
+		var expanded = this.isSectionExpanded(section);
+		sectionDOM.classList.toggle("open", expanded);
+		sectionDOM.hidden = this.isSectionHidden(section);
+		sectionDOM.querySelector(".SectionButton").setAttribute("aria-expanded", String(expanded));
+		sectionDOM.querySelector(".SectionContent").hidden = !expanded;
+	}
+
+	// Generate a button.SubButton for each of a setting's options, for the div.SubMenu of options based settings.
+	// Order the settings options by their value if they are numeric. Otherwise, keep the order they are in the settings object.
+	// If the option is set as hidden, don't create a button.SubButton for it.
+	// If the option is set as disabled, add the attribute "disabled" to the button.SubButton. Options whose "visibleWhen" or "enabledWhen" condition is not met are hidden or disabled as well.
+	// The button.SubButton of the selected options have the class "Active".
+	// The button.SubButton have a role of "menuitemradio", or "menuitemcheckbox" for checkable options (e.g. of a multiselect setting), and an aria-checked attribute.
+	// The button.SubButton of swatch options (e.g. the presets of a color setting) have the class "Swatch" and show their color instead of their label, which they are labeled with for assistive technologies. They are toggle buttons with an aria-pressed attribute instead, as they are not part of a menu.
+	// The button.SubButton are left out of the tab order, one of them is added to it with #updateTabindex once the div.SubMenu is in the page.
+	/**
+	 * @method #renderOptions (private) - Generate the button.SubButton elements for a setting's options.
+	 * @param {Object} context - The type context of the setting, see #typeContext().
+	 * @param {String[]} selected - Optional. The keys of the selected options.
+	 * @param {Boolean} checkable - Optional. Whether the options can be checked independently of each other.
+	 * @param {Boolean} swatches - Optional. Whether the options are colors displayed as swatches.
+	 * @returns {String} - The HTML of the button.SubButton elements.
+	 */
+	#renderOptions(context, selected = [], checkable = false, swatches = false) {
+		var settingOptions = context.object.options;
+		var optionsHTML = "";
+
+		var settingOptionsArray = [];
+		for (var option in settingOptions) {
+			settingOptionsArray.push(option);
+		}
+
+		if (settingOptionsArray.length > 0 && !isNaN(parseFloat(settingOptions[settingOptionsArray[0]].label))) {
+			settingOptionsArray.sort(function(a, b) {
+				return b - a;
+			});
+		}
+
+		for (var i = 0; i < settingOptionsArray.length; i++) {
+			var option = settingOptionsArray[i];
+			if (settingOptions[option].hidden !== true) {
+				var disabled = settingOptions[option].disabled !== undefined && settingOptions[option].disabled != false;
+				var attributes = {
+					class: ["SubButton"].concat(swatches ? ["Swatch"] : [], selected.includes(option) ? this.#stateClassesOf("selected") : []).join(" "),
+					role: swatches ? undefined : (checkable ? "menuitemcheckbox" : "menuitemradio"),
+					"aria-checked": swatches ? undefined : String(selected.includes(option)),
+					"aria-pressed": swatches ? String(selected.includes(option)) : undefined,
+					tabindex: "-1",
+					name: context.setting,
+					value: option,
+					title: swatches ? settingOptions[option].label : undefined,
+					"aria-label": swatches ? settingOptions[option].label : undefined,
+					style: swatches ? "background-color: " + option : undefined,
+					disabled: disabled ? "true" : !this.#checkCondition(settingOptions[option].enabledWhen),
+					hidden: !this.#checkCondition(settingOptions[option].visibleWhen),
+				};
+
+				optionsHTML += this.#renderTemplateString("settingOption", {
+					setting: context.setting,
+					object: context.object,
+					option: option,
+					label: settingOptions[option].label,
+					disabled: disabled,
+					checkable: checkable,
+				}, "", attributes, () => this.#renderTag("button", attributes, swatches ? "" : "<b>" + settingOptions[option].label + "</b>"));
+			}
+		}
+
+		return optionsHTML;
+	}
+
+	/**
+	 * @method #updateOptions (private) - Mark the button.SubButton of the selected options as selected (the Active class and their aria-checked or aria-pressed attribute) and unmark all others.
+	 * @param {Object} context - The type context of the setting, including its "subMenu".
+	 * @param {String[]} selected - The keys of the selected options.
+	 */
+	#updateOptions(context, selected) {
+		context.subMenu.querySelectorAll("button.SubButton").forEach((button) => {
+			this.#toggleState(button, "selected", selected.includes(button.value));
+			["aria-checked", "aria-pressed"].forEach((attribute) => {
+				if (button.hasAttribute(attribute)) button.setAttribute(attribute, String(selected.includes(button.value)));
+			});
+		});
+	}
+
+	/**
+	 * @method #bindOptions (private) - Handle clicks on the button.SubButton elements of a setting.
+	 * @param {Object} context - The type context of the setting, including its "subMenu".
+	 * @param {function} select - The function to call with the clicked button.SubButton.
+	 */
+	#bindOptions(context, select) {
+		context.subMenu.addEventListener("click", function (event) {
+			// Resolve the clicked button, the click can also target the b element inside of it.
+			var button = event.target.closest("button.SubButton");
+			if (button !== null && context.subMenu.contains(button)) select(button);
+		});
+	}
+
+	// Generate an input placed inside the div.SubMenu of settings that are input based instead of options based.
+	// The input has a class of "SubInput" and a name matching the setting's name, and is labeled with the setting's name for assistive technologies.
+	// Inputs whose value can be rejected by the setting's validation are followed by a .SubMessage element to display the validation message in.
+	/**
+	 * @method #renderInput (private) - Generate an input.SubInput element for a setting.
+	 * @param {Object} context - The type context of the setting.
+	 * @param {String} tag - The tag name of the input, e.g. "input" or "textarea".
+	 * @param {Object} attributes - The attributes of the input including its value, e.g. {type: "range", min: 0, max: 100, value: 50}.
+	 * @param {Boolean} message - Optional. Whether to add a .SubMessage element after the input.
+	 * @returns {String} - The HTML of the input and the .SubMessage element.
+	 */
+	#renderInput(context, tag, attributes = {}, message = false) {
+		attributes = Object.assign({ class: "SubInput", name: context.setting, "aria-label": context.object.label }, attributes);
+
+		// The value of a textarea is its content.
+		var content = "";
+		if (tag === "textarea") {
+			content = this.#escapeHTML(attributes.value ?? "");
+			delete attributes.value;
+		}
+
+		return this.#renderTag(tag, attributes, content) + (message ? this.#renderMessage(context.setting) : "");
+	}
+
+	/**
+	 * @method #renderMessage (private) - Generate the .SubMessage element to display a setting's validation messages in.
+	 * @param {String} setting - The name of the setting.
+	 * @returns {String} - The HTML of the .SubMessage element.
+	 */
+	#renderMessage(setting) {
+		return this.#renderTag("small", { class: "SubMessage", for: setting, "aria-live": "polite" });
+	}
+
+	// The description of a setting is rendered inside its button.TopButton as a hidden element, which the button.TopButton references with aria-describedby so assistive technologies announce it.
+	/**
+	 * @method #renderDescription (private) - Generate the .SettingDescription element describing a setting's button.TopButton.
+	 * @param {String} setting - The name of the setting.
+	 * @returns {String} - The HTML of the .SettingDescription element.
+	 */
+	#renderDescription(setting) {
+		return this.#renderTag("small", { class: "SettingDescription", id: setting + "Description", hidden: true }, this.#escapeHTML(this.#settings[setting].description));
+	}
+
+	// The ARIA attributes of a setting's button.TopButton and div.SubMenu.
+	// The div.SubMenu of an options based type (e.g. "submenu" or "multiselect") is a menu its button.TopButton opens, the div.SubMenu of any other type (e.g. the inputs of a "range" setting) a group its button.TopButton discloses.
+	/**
+	 * @method #ariaAttributes (private) - Get the ARIA attributes of a setting's elements.
+	 * @param {String} setting - The name of the setting.
+	 * @returns {Object} - The attributes of the button.TopButton as "button" and of the div.SubMenu as "subMenu", keyed by name. Attributes that do not apply are undefined.
+	 */
+	#ariaAttributes(setting) {
+		var settingObject = this.#settings[setting];
+		var hasSubMenu = this.#hasSubMenu(setting);
+		var menu = hasSubMenu && SettingsManager.#types[settingObject.type].options === true;
+
+		return {
+			button: {
+				"aria-describedby": settingObject.description ? setting + "Description" : undefined,
+				"aria-haspopup": menu ? "menu" : undefined,
+				"aria-expanded": hasSubMenu ? "false" : undefined,
+				"aria-controls": hasSubMenu ? setting : undefined,
+			},
+			subMenu: {
+				role: menu ? "menu" : "group",
+				"aria-label": settingObject.label,
+			},
+		};
+	}
+
+	// Generate the HTML of an element, escaping the attribute values.
+	// Attributes with a value of undefined, null or false are left out, those with a value of true are written without a value.
+	/**
+	 * @method #renderTag (private) - Generate the HTML of an element.
+	 * @param {String} tag - The tag name of the element.
+	 * @param {Object} attributes - Optional. The attributes of the element, keyed by name.
+	 * @param {String} content - Optional. The HTML content of the element, left out for void elements like input.
+	 * @returns {String} - The HTML of the element.
+	 */
+	#renderTag(tag, attributes = {}, content = "") {
+		var html = "<" + tag;
+		for (var attribute in attributes) {
+			var value = attributes[attribute];
+			if (value === undefined || value === null || value === false) continue;
+			html += (value === true) ? " " + attribute : " " + attribute + "=\"" + this.#escapeHTML(value) + "\"";
+		}
+
+		return html + ">" + (["input", "br", "hr", "img"].includes(tag) ? "" : content + "</" + tag + ">");
+	}
+
+	/**
+	 * @method #updateInputs (private) - Update the input.SubInput elements of a setting to the value, unless there was an error so the user can correct the input.
+	 * @param {Object} context - The type context of the setting, including its "subMenu" and "error".
+	 * @param {function} valueOf - Optional. A function receiving an input and returning the value to show in it, defaults to the typed value.
+	 */
+	#updateInputs(context, valueOf = () => context.typed) {
+		if (context.error) return;
+
+		context.subMenu.querySelectorAll(".SubInput").forEach((input) => {
+			input.value = valueOf(input);
+		});
+	}
+
+	// While an input.SubInput slider or color input is being dragged, its value can be previewed in the span of the button.TopButton without setting it.
+	/**
+	 * @method #bindInputs (private) - Set a setting to the value of its input.SubInput elements when one of them is committed.
+	 * @param {Object} context - The type context of the setting, including its "button" and "subMenu".
+	 * @param {function} read - A function receiving the changed input and returning the serialized value entered.
+	 * @param {Boolean} preview - Optional. Whether to preview the value while the input is being changed.
+	 */
+	#bindInputs(context, read, preview = false) {
+		if (preview) {
+			context.subMenu.addEventListener("input", (event) => {
+				if (event.target.classList.contains("SubInput")) {
+					context.button.querySelector("span").innerHTML = this.#displayValue(context.setting, read(event.target));
+				}
+			});
+		}
+
+		context.subMenu.addEventListener("change", (event) => {
+			if (event.target.classList.contains("SubInput")) {
+				context.set(read(event.target));
+			}
+		});
+	}
+
+	// Generate the elements placed inside the div.SubMenu of list settings.
+	// The items are listed in an ol.SubList, followed by an input.ListInput text field and a button.ListButton to add an item with and a .SubMessage element to display validation errors in.
+	// Each item has button.ListButton elements to move it up, move it down and remove it, with a "list-action" attribute naming the action and an "index" attribute with the item's index.
+	/**
+	 * @method #renderList - Generate the elements for a list setting.
+	 * @param {String} setting - The name of the setting.
+	 * @param {String} value - The serialized array of items.
+	 * @returns {String} - The HTML of the list elements.
+	 */
+	#renderList(setting, value) {
+		var settingObject = this.#settings[setting];
+
+		return this.#renderTag("ol", { class: "SubList", for: setting, "aria-label": settingObject.label }, this.#renderListItems(setting, value)) +
+			this.#renderTag("input", { type: "text", class: "ListInput", name: setting, "aria-label": "Add to " + settingObject.label, placeholder: settingObject.placeholder }) +
+			this.#renderTag("button", { class: "ListButton", name: setting, "list-action": "add" }, "Add") +
+			this.#renderMessage(setting);
+	}
+
+	/**
+	 * @method #renderListItems - Generate the li elements for the items of a list setting.
+	 * @param {String} setting - The name of the setting.
+	 * @param {String} value - The serialized array of items.
+	 * @returns {String} - The HTML of the li elements.
+	 */
+	#renderListItems(setting, value) {
+		var items = this.#decode(setting, value);
+		var actions = { up: ["\u2191", "Move up"], down: ["\u2193", "Move down"], remove: ["\u00d7", "Remove"] };
+
+		return items.map((item, index) => {
+			var itemHTML = "<span>" + this.#escapeHTML(item) + "</span>";
+
+			for (var action in actions) {
+				itemHTML += this.#renderTag("button", {
+					class: "ListButton",
+					name: setting,
+					"list-action": action,
+					index: index,
+					"aria-label": actions[action][1] + " " + item,
+					disabled: ((action === "up" && index === 0) || (action === "down" && index === items.length - 1)) ? "true" : undefined,
+				}, actions[action][0]);
+			}
+
+			return "<li>" + itemHTML + "</li>";
+		}).join("");
+	}
+
+	// Insert the settings buttons into a given DOM element and bind the click event to the button.SubButton.
+	// The function is executed with the DOM element as argument.
+	// The function should insert the settings buttons into the DOM element.
+	/**
+	 * @method insertDOM - Insert the settings buttons into a given DOM element and bind the click events with #attachEvents().
+	 * @param {HTMLElement} element - The DOM element to insert the settings buttons into.
+	 * @param {jQuery} element - The jQuery element to insert the settings buttons into, if the given element is not a DOM element.
+	 * @param {string} element - The selector of the element to insert the settings buttons into.
+	 * @returns {this} - The Settings object.
+	 */
+	insertDOM(element = this.#container.element) {
+		element = this.#resolveElement(element);
+
+		if (!(element instanceof HTMLElement)) {
+			console.error(`SETTINGS: Error inserting settings into DOM, the container element is not valid or does not exist (yet).`);
+			console.info(`SETTINGS: SettingsManager will fall back to the "watchForContainer" method and try to insert the settings into the DOM later.`);
+			this.#watchForContainer();
+		}
+
+		element.appendChild(this.generateDOM());
+
+		this.#attachEvents(element);
+		this.#updateTabindexes(element);
+
+		return this;
+	}
+
+	// Make the settings UI markup already inside a given DOM element interactive, instead of inserting newly generated elements like insertDOM does.
+	// The markup is usually rendered on a server with renderToString, so the events are attached and the elements are updated to the settings' values in the browser (e.g. the values stored in localStorage), their conditions and the state of the sections.
+	/**
+	 * @method hydrate - Hydrate the settings UI markup inside a given DOM element and bind its events with #attachEvents().
+	 * @param {HTMLElement|jQuery|string} element - The DOM element containing the settings UI markup, a jQuery element or a selector.
+	 * @returns {this} - The Settings object.
+	 */
+	hydrate(element = this.#container.element) {
+		element = this.#resolveElement(element);
+
+		if (!(element instanceof HTMLElement)) {
+			console.error(`SETTINGS: Error hydrating the settings UI, the container element is not valid or does not exist (yet).`);
+			return this;
+		}
+		this.#container.element = element;
+
+		for (var section in this.#sections) {
+			var sectionDOM = element.querySelector(".Section[section=\"" + CSS.escape(section) + "\"]");
+			if (sectionDOM !== null) {
+				this.#prepareSectionDOM(section, sectionDOM);
+			}
+		}
+
+		for (var setting in this.#settings) {
+			if (this.#settingElements(setting, element).button === null) {
+				console.warn(`SETTINGS: The settings UI markup does not contain the setting '${setting}', which can not be hydrated.`);
+				continue;
+			}
+			this.updateDOM(setting, this.getSetting(setting));
+			this.#applyConditions(setting);
+		}
+
+		this.#attachEvents(element);
+		this.#updateTabindexes(element);
+
+		return this;
+	}
+	
+	// Private function to attach the click event to parent element
+	// The function is executed with the DOM element as argument.
+	// The click events should be bound to the provided element from the element argument so that the events work dynamically.
+	// If a button.TopButton is clicked, it should open its div.SubMenu (if any) with the toggleSubMenu function passing on the clicked button.
+	// If a button.SectionButton is clicked, it should expand or collapse its section with the toggleSection function.
+	// All other events (e.g. clicking a button.SubButton, cycling a "cycle" setting or changing an input.SubInput) are bound by the setting's type, see registerType(). Computed settings have no events, as they can not be set.
+	/**
+	 * @method #attachEvents - Attach the events of the settings buttons to the given parent element.
+	 * @param {HTMLElement} element - The DOM element to attach the events to.
+	 */
+	#attachEvents(element) {
+		element.addEventListener("click", function (event) {
+			// Resolve the clicked button, the click can also target the label or span inside of it.
+			var button = event.target.closest("button.TopButton, button.SectionButton");
+			if (button === null || !element.contains(button)) return;
+
+			if (button.classList.contains("SectionButton")) {
+				this.toggleSection(button.name);
+			} else {
+				this.toggleSubMenu(button);
+
+				// When the button is clicked with the keyboard (Enter or Space, which makes a click without a click count), move the focus into the div.SubMenu it opened.
+				var subMenu = (button.hasAttribute("aria-controls")) ? element.querySelector(".SubMenu[id=\"" + CSS.escape(button.getAttribute("aria-controls")) + "\"]") : null;
+				if (event.detail === 0 && subMenu !== null && subMenu.classList.contains("open")) {
+					var focusable = this.#navigableItems(subMenu).find((item) => item.getAttribute("tabindex") === "0") || subMenu.querySelector("input, textarea, select, button:not([disabled])");
+					if (focusable !== null && focusable !== undefined) focusable.focus();
+				}
+			}
+		}.bind(this));
+
+		// Move through the buttons with the arrow keys and close a div.SubMenu with Escape.
+		element.addEventListener("keydown", (event) => this.#handleKeydown(event, element));
+
+		// Keep the last focused button of each group in the tab order, including buttons focused by clicking them.
+		element.addEventListener("focusin", (event) => {
+			var group = this.#navigationGroup(event.target, element);
+			if (group !== null) this.#updateTabindex(group, event.target);
+		});
+
+		// Let the type of every setting bind the events of its UI.
+		for (var setting in this.#settings) {
+			var type = SettingsManager.#types[this.#settings[setting].type];
+			var elements = this.#settingElements(setting, element);
+			if (type.bindEvents === undefined || elements.button === null || this.#settings[setting].compute !== undefined) continue;
+
+			type.bindEvents(this.#typeContext(setting, elements.button.value, elements));
+		}
+	}
+
+	// Add, move or remove an item of a list setting and set the setting to the edited items.
+	// An item is added from the text in the setting's input.ListInput inside its own div.SubMenu, which is cleared by updateDOM once the item was added.
+	/**
+	 * @method #editList (private) - Edit the items of a list setting.
+	 * @param {Object} context - The type context of the list setting, including its "subMenu".
+	 * @param {string} action - The edit to make, either "add", "up", "down" or "remove".
+	 * @param {number} index - The index of the item to move or remove.
+	 */
+	#editList(context, action, index) {
+		var setting = context.setting;
+		var items = this.getSetting(setting).slice();
+
+		switch (action) {
+			case "add":
+				var input = context.subMenu.querySelector(".ListInput[name=\"" + CSS.escape(setting) + "\"]");
+				if (input === null || input.value.trim() === "") return;
+				items.push(input.value);
+				break;
+			case "up":
+			case "down":
+				var target = index + ((action === "up") ? -1 : 1);
+				if (target < 0 || target >= items.length) return;
+				[items[index], items[target]] = [items[target], items[index]];
+				break;
+			case "remove":
+				items.splice(index, 1);
+				break;
+		}
+
+		this.setSetting(setting, { v: items, source: "ui" });
+	}
+
+	// Toggle the open class on the submenu of a given settings button where the id of the submenu is the same as the setting's name.
+	// Remove the open class from all other submenus and add the open class to the submenu of the given settings button.
+	// The name of the button has a suffix of "Top" to indicate that it is a top button, this needs to be removed before it is used as a setting name to find the submenu.
+	// The button itself receives the "active" class to indicate that it is active while the submenu is open.
+	// If the button already has the active class, its submenu is toggled closed, like the disclosure its aria-expanded attribute announces.
+	// If the button has a setting-type without a submenu (e.g. "cycle"), all submenus should be closed and all buttons should have their active class removed.
+	/**
+	 * @method toggleSubMenu - Toggle the open class on the submenu of a given settings button where the id of the submenu is the same as the setting's name.
+	 * @param {HTMLElement} button - The settings button to toggle the submenu of.
+	 */
+	toggleSubMenu(button) {
+		var settingName = button.name.replace("Top", "");
+		var subMenu = document.getElementById(settingName);
+		
+		// remove the open class from all other submenus that are not the submenu of the button that is currently being clicked.
+		var subMenus = document.getElementsByClassName("SubMenu");
+		for (var i = 0; i < subMenus.length; i++) {
+			if (subMenus[i] !== subMenu) {
+				this.#toggleSubMenuState(subMenus[i], null, false);
+			}
+		}
+		
+		// remove the active class from all other buttons that are not the button that is currently being clicked.
+		var buttons = document.getElementsByClassName("TopButton");
+		for (var i = 0; i < buttons.length; i++) {
+			if (buttons[i] !== button) {
+				this.#toggleState(buttons[i], "active", false);
+				if (buttons[i].hasAttribute("aria-expanded")) buttons[i].setAttribute("aria-expanded", "false");
+			}
+		}
+
+		// if the button opens a submenu (unlike the "cycle" and "boolean" types), toggle the submenu open or closed and toggle the active class of the button along with it.
+		var type = SettingsManager.#types[button.getAttribute("setting-type")];
+		if (type !== undefined && type.subMenu && subMenu !== null) {
+			this.#toggleSubMenuState(subMenu, button, !button.classList.contains("active"));
+		}
+	}
+
+	// Capture the next key combination pressed for a keybinding setting and set the setting to it.
+	// While capturing, the button.TopButton has the "Capturing" class and aria-pressed set to true, and its span asks for a key combination.
+	// The keydown events are captured on the document before the page's own shortcuts can handle them.
+	// Pressing only modifier keys keeps capturing, pressing Escape or clicking anywhere else stops capturing without changing the setting.
+	// Tab and Shift+Tab stop capturing without changing the setting as well, and still move the focus, so keyboard users are not trapped on the button.
+	/**
+	 * @method #startCapture (private) - Start capturing the next key combination for the keybinding setting of a given button.TopButton.
+	 * @param {HTMLElement} button - The button.TopButton of the keybinding setting.
+	 */
+	#startCapture(button) {
+		this.#stopCapture();
+
+		var setting = button.name;
+		var span = button.querySelector("span");
+		var onKeydown = (event) => {
+			if (event.key === "Tab" && !event.ctrlKey && !event.altKey && !event.metaKey) {
+				this.#stopCapture();
+				return;
+			}
+
+			event.preventDefault();
+			event.stopPropagation();
+
+			if (event.key === "Escape") {
+				this.#stopCapture();
+				return;
+			}
+
+			var combo = SettingsManager.#keybindingFromEvent(event);
+			if (combo !== null) {
+				this.#stopCapture();
+				this.setSetting(setting, { v: combo, source: "ui" });
+			}
+		};
+		var onMousedown = (event) => {
+			if (!button.contains(event.target)) this.#stopCapture();
+		};
+
+		document.addEventListener("keydown", onKeydown, true);
+		document.addEventListener("mousedown", onMousedown, true);
+		this.#capture = { button: button, handler: { keydown: onKeydown, mousedown: onMousedown } };
+
+		button.classList.add("Capturing");
+		button.setAttribute("aria-pressed", "true");
+		if (span !== null) span.textContent = this.#settings[setting].captureLabel ?? "Press a key combination...";
+	}
+
+	// Stop capturing a key combination, restoring the button.TopButton to display the setting's current value.
+	/**
+	 * @method #stopCapture (private) - Stop capturing a key combination, if a keybinding setting is capturing one.
+	 */
+	#stopCapture() {
+		var button = this.#capture.button;
+		if (button === null) return;
+
+		document.removeEventListener("keydown", this.#capture.handler.keydown, true);
+		document.removeEventListener("mousedown", this.#capture.handler.mousedown, true);
+		this.#capture = { button: null, handler: null };
+
+		button.classList.remove("Capturing");
+		button.setAttribute("aria-pressed", "false");
+		this.updateDOM(button.name, this.getSetting(button.name));
+	}
+
+	// The buttons of the settings UI form two kinds of groups that are moved through with the arrow keys: the button.TopButton and button.SectionButton elements of the container, and the button.SubButton elements of each div.SubMenu.
+	// Each group has a roving tabindex: only one of its buttons is in the tab order (tabindex 0), the last one that was focused, so tabbing moves between the groups instead of through every button.
+	/**
+	 * @method #navigationGroup (private) - Get the group of buttons a given element can be moved through with the arrow keys in.
+	 * @param {HTMLElement} target - The element, usually the focused one.
+	 * @param {HTMLElement} element - The settings container.
+	 * @returns {HTMLElement|null} - The div.SubMenu for a button.SubButton, the container for a button.TopButton or button.SectionButton, or null for any other element.
+	 */
+	#navigationGroup(target, element) {
+		if (!element.contains(target)) return null;
+		if (target.matches(".SubButton")) return target.closest(".SubMenu");
+		if (target.matches(".TopButton, .SectionButton")) return element;
+		return null;
+	}
+
+	/**
+	 * @method #navigableItems (private) - Get the buttons of a group that can be focused, leaving out the disabled and hidden ones (e.g. the settings of a collapsed section).
+	 * The buttons of a closed div.SubMenu are kept, as only the div.SubMenu itself is hidden, so the button in its tab order is kept for when it is opened.
+	 * @param {HTMLElement} group - The div.SubMenu or the settings container.
+	 * @returns {HTMLElement[]} - The buttons, in the order they are in the page.
+	 */
+	#navigableItems(group) {
+		var selector = group.classList.contains("SubMenu") ? ".SubButton" : ".TopButton, .SectionButton";
+		return Array.from(group.querySelectorAll(selector)).filter((item) => !item.disabled && [null, group].includes(item.closest("[hidden]")));
+	}
+
+	// Put one button of a group in the tab order: the given one, or otherwise the one that already is if it can still be focused.
+	// If neither can be focused, the selected option of a div.SubMenu or the first button of the group is used.
+	/**
+	 * @method #updateTabindex (private) - Update the roving tabindex of a group of buttons.
+	 * @param {HTMLElement} group - The div.SubMenu or the settings container.
+	 * @param {HTMLElement} current - Optional. The button to put in the tab order, e.g. the one that was just focused.
+	 */
+	#updateTabindex(group, current = null) {
+		var items = this.#navigableItems(group);
+		if (current === null || !items.includes(current)) {
+			current = items.find((item) => item.getAttribute("tabindex") === "0")
+				|| (group.classList.contains("SubMenu") ? items.find((item) => item.getAttribute("aria-checked") === "true" || item.getAttribute("aria-pressed") === "true") : undefined)
+				|| items[0]
+				|| null;
+		}
+
+		group.querySelectorAll(group.classList.contains("SubMenu") ? ".SubButton" : ".TopButton, .SectionButton").forEach((item) => {
+			item.setAttribute("tabindex", (item === current) ? "0" : "-1");
+		});
+	}
+
+	/**
+	 * @method #updateTabindexes (private) - Update the roving tabindex of the container and of every div.SubMenu in it.
+	 * @param {HTMLElement} element - Optional. The settings container.
+	 */
+	#updateTabindexes(element = this.#container.element) {
+		if (element === null || element === undefined || typeof element.querySelectorAll !== "function") return;
+
+		this.#updateTabindex(element);
+		element.querySelectorAll(".SubMenu").forEach((subMenu) => this.#updateTabindex(subMenu));
+	}
+
+	// Handle the keyboard navigation of the settings UI:
+	// - The arrow keys move the focus to the previous or next button of the group the focused button is in, looping around at the ends. Home and End move it to the first or last button.
+	// - Escape closes the open div.SubMenu the focus is in (or that belongs to the focused button.TopButton), and moves the focus back to its button.TopButton.
+	// Enter and Space click the focused button like any button, which selects an option or opens a div.SubMenu, see #attachEvents.
+	// The arrow keys are left to inputs (e.g. of a range setting), so they keep working as usual.
+	/**
+	 * @method #handleKeydown (private) - Handle a keydown event inside the settings container.
+	 * @param {KeyboardEvent} event - The keydown event.
+	 * @param {HTMLElement} element - The settings container.
+	 */
+	#handleKeydown(event, element) {
+		if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+
+		if (event.key === "Escape") {
+			var subMenu = event.target.closest(".SubMenu");
+			if (subMenu === null && event.target.matches(".TopButton[aria-controls]")) {
+				subMenu = element.querySelector(".SubMenu[id=\"" + CSS.escape(event.target.getAttribute("aria-controls")) + "\"]");
+			}
+			if (subMenu === null || !element.contains(subMenu) || !subMenu.classList.contains("open")) return;
+
+			var button = this.#settingElements(subMenu.id, element).button;
+			this.#toggleSubMenuState(subMenu, button, false);
+			if (button !== null) button.focus();
+			event.preventDefault();
+			return;
+		}
+
+		var group = this.#navigationGroup(event.target, element);
+		if (group === null) return;
+
+		var items = this.#navigableItems(group);
+		var index = items.indexOf(event.target);
+		var next = {
+			ArrowDown: index + 1,
+			ArrowRight: index + 1,
+			ArrowUp: index - 1,
+			ArrowLeft: index - 1,
+			Home: 0,
+			End: items.length - 1,
+		}[event.key];
+		if (next === undefined || items.length === 0) return;
+
+		var item = items[(next + items.length) % items.length];
+		this.#updateTabindex(group, item);
+		item.focus();
+		event.preventDefault();
+	}
+
+	// Get the next option of a setting, looping back to the first option if the current option is the last option.
+	// Do not sort the options array.
+	/**
+	 * @method #getNextOption (private) - Get the next option of a setting, looping back to the first option if the current option is the last option.
+	 * @param {string} setting - The name of the setting to get the next option of.
+	 * @param {*} currentOption - The current option of the setting.
+	 * @returns {object} - An object containing the next option's name, option object and typed value.
+	 */
+	#getNextOption(setting, currentOption = "") {
+		var settingOptions = this.#settings[setting].options; // get the options of the setting.
+		var currentOption = currentOption === "" ? this.getSetting(setting) : currentOption; // if no current option is provided, use the current setting value.
+		var settingOptionsArray = []; // create an array to store the options in.
+		for (var option in settingOptions) { // loop through the options.
+			settingOptionsArray.push(option); // add the option to the array.
+		}
+		
+		var currentOptionKey = this.#encode(setting, this.#decode(setting, currentOption)); // options are keyed by the serialized form of their value.
+		var currentOptionIndex = settingOptionsArray.indexOf(currentOptionKey); // get the index of the current option.
+		var nextOptionIndex = (currentOptionIndex === settingOptionsArray.length-1) ? 0 : currentOptionIndex + 1; // if the current option is the last option, loop back to the first option.
+
+		return {
+			n: settingOptionsArray[nextOptionIndex], // Option name
+			o: settingOptions[settingOptionsArray[nextOptionIndex]], // Option object
+			v: this.#decode(setting, settingOptionsArray[nextOptionIndex]) // Option value, typed
+		};
+	}
+
+	// Alias for getnextOption.
+	/**
+	 * @method next - Get the next option of a setting, looping back to the first option if the current option is the last option.
+	 * @param {string} setting - The name of the setting to get the next option of.
+	 * @param {*} currentOption - The current option of the setting.
+	 * @returns {object} - An object containing the next option's name, option object and typed value.
+	 */
+	next(setting, currentOption = "") { return this.#getNextOption(setting, currentOption); }
+
+	// Mark an element of the settings UI as being in a state or not, with the classes of the state (see #stateClasses) and those the template manager adds to it.
+	// Works with the elements standing in for the DOM while rendering to a string as well, see #markupElement().
+	/**
+	 * @method #toggleState (private) - Add or remove the classes of a state to or from an element.
+	 * @param {HTMLElement|Object} element - The element.
+	 * @param {String} state - The state, one of the keys of #stateClasses.
+	 * @param {Boolean} force - Whether the element is in the state.
+	 */
+	#toggleState(element, state, force) {
+		this.#stateClassesOf(state).forEach((className) => element.classList.toggle(className, force));
+	}
+
+	/**
+	 * @method #stateClassesOf (private) - Get the classes of a state, including those the template manager adds to it.
+	 * @param {String} state - The state, one of the keys of #stateClasses.
+	 * @returns {String[]} - The classes.
+	 */
+	#stateClassesOf(state) {
+		var classes = SettingsManager.#stateClasses[state];
+		if (this.#templates !== null && typeof this.#templates.getStateClasses === "function") {
+			classes = classes.concat(this.#templates.getStateClasses(state).filter((className) => !classes.includes(className)));
+		}
+		return classes;
+	}
+
+	/**
+	 * @method #toggleSubMenuState (private) - Mark a div.SubMenu as open or closed, and its button.TopButton as active and expanded or not.
+	 * A closed div.SubMenu is hidden, so its buttons leave the tab order without the stylesheet hiding it.
+	 * @param {HTMLElement|Object} subMenu - The div.SubMenu.
+	 * @param {HTMLElement|Object|null} button - The button.TopButton, if it should be marked as well.
+	 * @param {Boolean} open - Whether the div.SubMenu is open.
+	 */
+	#toggleSubMenuState(subMenu, button, open) {
+		this.#toggleState(subMenu, "closed", !open);
+		this.#toggleState(subMenu, "open", open);
+		subMenu.toggleAttribute("hidden", !open);
+		if (button !== null) {
+			this.#toggleState(button, "active", open);
+			if (button.hasAttribute("aria-expanded")) button.setAttribute("aria-expanded", String(open));
+		}
+	}
+
+	/**
+	 * @method #updateCheckedState (private) - Mark a button.TopButton as checked or not according to its aria-checked attribute, if it has one (e.g. that of a boolean setting).
+	 * @param {HTMLElement|Object} button - The button.TopButton.
+	 */
+	#updateCheckedState(button) {
+		if (button.getAttribute("aria-checked") !== null) {
+			this.#toggleState(button, "checked", button.getAttribute("aria-checked") === "true");
+		}
+	}
+
+	/* Setting type functions */
+
+		// Register a setting type that can be used as a setting's "type", or replace an already registered type.
+		// Every part of a setting's lifecycle that depends on its type is handled by the type's definition: normalizing and validating its values, rendering and updating its UI and binding the UI's events.
+		// The built-in types ("submenu", "cycle", "range", ...) are registered the same way, see the static block below.
+		// Types have to be registered before the SettingsManager instances using them are created, as the settings list is validated on construction.
+		/**
+		 * @method registerType (static) - Register a setting type.
+		 * @param {string} name - The name of the type, used as the "type" of the settings using it.
+		 * @param {Object} definition - The type's definition. Every property is optional.
+		 * @param {boolean} definition.options - Whether the setting's values are restricted to the keys of its "options" object. Defaults to false.
+		 * @param {boolean} definition.subMenu - Whether the setting's button.TopButton opens a div.SubMenu containing the type's rendered UI. Defaults to false.
+		 * @param {Object} definition.defaults - The values of the setting's properties (e.g. "default" or "valueType") to use when the setting does not define them.
+		 * @param {string} definition.optionValueType - The value type of the option keys, if it differs from the setting's value type.
+		 * @param {function} definition.parse - Receives a serialized value and the type context, returns the value normalized into the form it is stored in (e.g. "RGB(0,0,0)" into "#000000"). Also applied to the default value and the option keys.
+		 * @param {function} definition.validate - Receives a serialized (and parsed) value and the type context, returns a message describing why the value is invalid or null if it is valid.
+		 * @param {function} definition.validateDefinition - Receives the type context, with "path(property)" and "optionPath(option, property)" functions to build paths with, and returns an array of problems with the setting's definition.
+		 * @param {function} definition.display - Receives the type context and returns the HTML to display the value with in the span of the button.TopButton.
+		 * @param {function} definition.handler - Receives the type context and returns the function to execute when the setting is set to the value, or undefined if there is none.
+		 * @param {function} definition.render - Receives the type context with the generated button.TopButton as "button", which it can modify, and returns the content of the div.SubMenu as a Node or an HTML string reflecting the value. Only HTML strings can be rendered with renderToString, where the "button" only supports changing its attributes and classes.
+		 * @param {function} definition.update - Receives the type context with the setting's "button", "subMenu" and "error" and updates the type's UI to the value.
+		 * @param {function} definition.bindEvents - Receives the type context with the setting's "button" and "subMenu" once they are inserted into the DOM, and binds the events of the type's UI.
+		 * @returns {SettingsManager} - The SettingsManager class.
+		 * @throws {Error} - If the name or definition is not valid.
+		 *
+		 * @example
+		 * SettingsManager.registerType("font", {
+		 * 	subMenu: true,
+		 * 	validate: (value, context) => context.object.fonts.includes(value) ? null : `The font '${value}' is not available.`,
+		 * 	display: (context) => `<span style="font-family: ${context.escape(context.value)}">${context.escape(context.value)}</span>`,
+		 * 	render: (context) => context.object.fonts.map((font) => `<button class="FontButton" value="${context.escape(font)}">${context.escape(font)}</button>`).join(""),
+		 * 	bindEvents: (context) => context.subMenu.addEventListener("click", (event) => event.target.matches(".FontButton") && context.set(event.target.value)),
+		 * });
+		 */
+		static registerType(name, definition = {}) {
+			if (typeof name !== "string" || name === "") {
+				throw new Error(`SETTINGS: The name of a setting type must be a non-empty string, got '${name}'.`);
+			}
+			if (typeof definition !== "object" || definition === null) {
+				throw new Error(`SETTINGS: The definition of the setting type '${name}' must be an object.`);
+			}
+			for (var hook of ["parse", "validate", "validateDefinition", "display", "handler", "render", "update", "bindEvents"]) {
+				if (definition[hook] !== undefined && typeof definition[hook] !== "function") {
+					throw new Error(`SETTINGS: The "${hook}" of the setting type '${name}' must be a function.`);
+				}
+			}
+
+			if (SettingsManager.#types[name] !== undefined) {
+				console.warn(`SETTINGS: The setting type '${name}' is already registered and will be replaced.`);
+			}
+			SettingsManager.#types[name] = Object.assign({ options: false, subMenu: false }, definition);
+
+			return SettingsManager;
+		}
+
+		// Get the context the functions of a setting's type are called with.
+		/**
+		 * @method #typeContext (private) - Get the context object passed to the functions of a setting's type.
+		 * @param {string} setting - The name of the setting.
+		 * @param {string} value - The serialized value.
+		 * @param {Object} extra - Optional. Additional properties of the context, like the setting's "button" and "subMenu" elements.
+		 * @returns {Object} - The context, containing the setting's name as "setting", its object as "object", the SettingsManager instance as "manager", the serialized value as "value" and the typed value as "typed",
+		 * a "set(value)" function to set the setting to a value from the UI and an "escape(string)" function to escape text for HTML.
+		 */
+		#typeContext(setting, value, extra = {}) {
+			var manager = this;
+
+			return Object.assign({
+				setting: setting,
+				object: this.#settings[setting],
+				manager: this,
+				value: value,
+				get typed() { return manager.#decode(setting, this.value); },
+				set: (newValue) => this.setSetting(setting, { v: newValue, source: "ui" }),
+				escape: (string) => this.#escapeHTML(string),
+			}, extra);
+		}
+
+		// The built-in setting types, registered with the same definitions custom types use.
+		static {
+			var isFunction = (value) => value === undefined || typeof value === "function";
+			var isObject = (value) => typeof value === "object" && value !== null && !(value instanceof Array);
+			var defineFunctions = (context, properties) => properties.filter((property) => !isFunction(context.object[property])).map((property) => `${context.setting}.${property}: must be a function.`);
+
+			// A button.TopButton that opens a div.SubMenu with a button.SubButton for each option.
+			SettingsManager.registerType("submenu", {
+				options: true,
+				subMenu: true,
+				render: (context) => context.manager.#renderOptions(context, [context.value]),
+				update: (context) => context.manager.#updateOptions(context, [context.value]),
+				bindEvents: (context) => context.manager.#bindOptions(context, (button) => context.set(button.value)),
+			});
+
+			// A button.TopButton that sets the setting to the next option on every click.
+			SettingsManager.registerType("cycle", {
+				options: true,
+				subMenu: false,
+				bindEvents: (context) => context.button.addEventListener("click", () => context.set(context.manager.#getNextOption(context.setting, context.button.value).n)),
+			});
+
+			// A button.TopButton that opens a div.SubMenu with a checkable button.SubButton for each option, storing an array of the selected option keys.
+			SettingsManager.registerType("multiselect", {
+				options: true,
+				subMenu: true,
+				defaults: { default: [], valueType: "json" },
+				optionValueType: "string", // The options are keyed by their plain values, as the setting's value is an array of option keys.
+				validateDefinition: (context) => {
+					var problems = [];
+					["minSelected", "maxSelected"].forEach((property) => {
+						if (context.object[property] !== undefined && !(Number.isInteger(context.object[property]) && context.object[property] >= 0)) {
+							problems.push(`${context.setting}.${property}: must be a non-negative integer, got '${context.object[property]}'.`);
+						}
+					});
+					for (var option in (isObject(context.object.options) ? context.object.options : {})) {
+						if (isObject(context.object.options[option]) && !isFunction(context.object.options[option].onDeselect)) {
+							problems.push(`${context.path("options")}.${option}.onDeselect: must be a function.`);
+						}
+					}
+					return problems;
+				},
+				validate: (value, context) => {
+					var selected = context.typed;
+					if (!(selected instanceof Array)) {
+						return `The value '${value}' of the setting '${context.setting}' is not an array of options.`;
+					}
+					for (var i = 0; i < selected.length; i++) {
+						if (context.object.options[selected[i]] === undefined) {
+							return `The value '${selected[i]}' is not in the options of the setting '${context.setting}'.`;
+						}
+						if (selected.indexOf(selected[i]) !== i) {
+							return `The option '${selected[i]}' is selected more than once for the setting '${context.setting}'.`;
+						}
+					}
+					if (context.object.minSelected !== undefined && selected.length < context.object.minSelected) {
+						return `At least ${context.object.minSelected} option(s) must be selected for the setting '${context.setting}'.`;
+					}
+					if (context.object.maxSelected !== undefined && selected.length > context.object.maxSelected) {
+						return `At most ${context.object.maxSelected} option(s) can be selected for the setting '${context.setting}'.`;
+					}
+					return null;
+				},
+				display: (context) => (context.typed.length === 0) ? (context.object.emptyLabel ?? "None") : context.typed.map((option) => context.object.options[option].label).join(", "),
+				// Executes the "onSelect" function of every option added to the selection and the "onDeselect" function of every option removed from it, followed by the setting's "onChange" function.
+				// The option functions receive the usual arguments, plus the option's key as "option" and whether it was added or removed as "selected".
+				// The combined function only succeeds if none of the executed functions returned false. When the setting is initialized, every selected option counts as added.
+				handler: (context) => {
+					var options = context.object.options;
+					var selected = context.typed;
+					var committed = context.manager.#committed[context.setting];
+					var previous = (committed !== undefined) ? context.manager.#decode(context.setting, committed) : []; // Nothing was selected before the setting was initialized.
+
+					var handlers = [];
+					selected.filter((option) => !previous.includes(option)).forEach((option) => {
+						if (options[option].onSelect !== undefined) handlers.push([options[option].onSelect, option, true]);
+					});
+					previous.filter((option) => !selected.includes(option) && options[option] !== undefined).forEach((option) => {
+						if (options[option].onDeselect !== undefined) handlers.push([options[option].onDeselect, option, false]);
+					});
+					if (context.object.onChange !== undefined) handlers.push([context.object.onChange]);
+
+					if (handlers.length === 0) return undefined;
+
+					return async (args) => {
+						var success = true;
+						for (var [handler, option, isSelected] of handlers) {
+							var result = await handler((option !== undefined) ? Object.assign({}, args, {option: option, selected: isSelected}) : args);
+							if (result === false) success = false;
+						}
+						return success;
+					};
+				},
+				render: (context) => context.manager.#renderOptions(context, context.typed, true),
+				update: (context) => context.manager.#updateOptions(context, context.typed),
+				bindEvents: (context) => context.manager.#bindOptions(context, (button) => {
+					// Add the option to or remove it from the selection.
+					var selected = context.manager.getSetting(context.setting).slice();
+					var index = selected.indexOf(button.value);
+					(index === -1) ? selected.push(button.value) : selected.splice(index, 1);
+					context.set(selected);
+				}),
+			});
+
+			// A switch button.TopButton storing a real boolean.
+			SettingsManager.registerType("boolean", {
+				defaults: { default: false, valueType: "boolean" },
+				validateDefinition: (context) => {
+					var problems = defineFunctions(context, ["onEnable", "onDisable"]);
+					if (context.object.labels !== undefined && !isObject(context.object.labels)) {
+						problems.push(`${context.setting}.labels: must be an object with "true" and "false" labels.`);
+					}
+					return problems;
+				},
+				validate: (value, context) => (value !== "true" && value !== "false") ? `The value '${value}' of the setting '${context.setting}' is not a boolean.` : null,
+				display: (context) => Object.assign({true: "On", false: "Off"}, context.object.labels)[context.value],
+				handler: (context) => ((context.value === "true") ? context.object.onEnable : context.object.onDisable) ?? context.object.onChange,
+				render: (context) => {
+					context.button.setAttribute("role", "switch");
+					context.button.setAttribute("aria-checked", context.value);
+				},
+				// A checkbox placed in the button.TopButton by a template (e.g. the switch of the "bootstrap" and "materialize" presets) is checked along with it.
+				update: (context) => {
+					context.button.setAttribute("aria-checked", context.value);
+					context.button.querySelectorAll("input[type=\"checkbox\"]").forEach((checkbox) => checkbox.checked = (context.value === "true"));
+				},
+				bindEvents: (context) => context.button.addEventListener("click", () => context.set(context.button.getAttribute("aria-checked") !== "true")),
+			});
+
+			// A div.SubMenu with a slider between the setting's "min" and "max".
+			SettingsManager.registerType("range", {
+				subMenu: true,
+				validateDefinition: (context) => {
+					var problems = defineFunctions(context, ["format"]);
+					if (typeof context.object.min !== "number" || typeof context.object.max !== "number" || !(context.object.min < context.object.max)) {
+						problems.push(`${context.setting}.min/max: must be numbers with min being smaller than max, got '${context.object.min}' and '${context.object.max}'.`);
+					}
+					if (context.object.step !== undefined && !(typeof context.object.step === "number" && context.object.step > 0)) {
+						problems.push(`${context.setting}.step: must be a positive number, got '${context.object.step}'.`);
+					}
+					if (context.object.unit !== undefined && typeof context.object.unit !== "string") {
+						problems.push(`${context.setting}.unit: must be a string.`);
+					}
+					return problems;
+				},
+				validate: (value, context) => {
+					var number = context.typed;
+					var step = context.object.step || 1;
+					if (typeof number !== "number" || !isFinite(number)) {
+						return `The value '${value}' of the setting '${context.setting}' is not a number.`;
+					}
+					if (number < context.object.min || number > context.object.max) {
+						return `The value '${value}' of the setting '${context.setting}' is not between ${context.object.min} and ${context.object.max}.`;
+					}
+					var steps = (number - context.object.min) / step;
+					if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+						return `The value '${value}' of the setting '${context.setting}' does not match its step of ${step}.`;
+					}
+					return null;
+				},
+				display: (context) => (context.object.format !== undefined) ? context.object.format(context.typed) : context.typed + (context.object.unit || ""),
+				render: (context) => context.manager.#renderInput(context, "input", { type: "range", min: context.object.min, max: context.object.max, step: context.object.step || 1, value: context.value }),
+				update: (context) => context.manager.#updateInputs(context),
+				bindEvents: (context) => context.manager.#bindInputs(context, (input) => input.value, true),
+			});
+
+			// A div.SubMenu with a single line ("text") or multi-line ("textarea") text field, followed by a .SubMessage element.
+			["text", "textarea"].forEach((type) => SettingsManager.registerType(type, {
+				subMenu: true,
+				defaults: { default: "" },
+				validateDefinition: (context) => {
+					var problems = defineFunctions(context, ["validate"]);
+					if (context.object.maxLength !== undefined && !(Number.isInteger(context.object.maxLength) && context.object.maxLength > 0)) {
+						problems.push(`${context.setting}.maxLength: must be a positive integer, got '${context.object.maxLength}'.`);
+					}
+					if (context.object.placeholder !== undefined && typeof context.object.placeholder !== "string") {
+						problems.push(`${context.setting}.placeholder: must be a string.`);
+					}
+					return problems;
+				},
+				validate: (value, context) => {
+					var text = context.typed;
+					if (typeof text !== "string") {
+						return `The value of the setting '${context.setting}' is not a string.`;
+					}
+					if (context.object.maxLength !== undefined && text.length > context.object.maxLength) {
+						return `The value of the setting '${context.setting}' is longer than ${context.object.maxLength} characters.`;
+					}
+					if (context.object.validate !== undefined) {
+						// The validate function returns true if the value is valid, and false or a message describing the problem otherwise.
+						try {
+							var result = context.object.validate(text);
+							if (typeof result === "string") return result;
+							if (result !== true) return `The value '${text}' is not valid for the setting '${context.setting}'.`;
+						} catch(e) {
+							return `The value '${text}' is not valid for the setting '${context.setting}'.\n ${e}`;
+						}
+					}
+					return null;
+				},
+				// Only the first line of the text is displayed, escaped as the text is entered by the user.
+				display: (context) => context.escape(context.typed.split("\n")[0]),
+				render: (context) => {
+					var attributes = (type === "text") ? { type: "text", value: context.typed } : { value: context.typed };
+					if (context.object.maxLength !== undefined) attributes.maxLength = context.object.maxLength;
+					if (context.object.placeholder !== undefined) attributes.placeholder = context.object.placeholder;
+					return context.manager.#renderInput(context, (type === "textarea") ? "textarea" : "input", attributes, true);
+				},
+				update: (context) => context.manager.#updateInputs(context),
+				bindEvents: (context) => context.manager.#bindInputs(context, (input) => input.value),
+			}));
+
+			// A div.SubMenu with a native date, time or date and time input, followed by a .SubMessage element. The values are stored in the ISO format of the inputs.
+			["date", "time", "datetime"].forEach((type) => SettingsManager.registerType(type, {
+				subMenu: true,
+				validateDefinition: (context) => {
+					var problems = defineFunctions(context, ["format"]);
+					["min", "max"].forEach((property) => {
+						if (context.object[property] !== undefined && SettingsManager.#parseDate(type, context.object[property]) === null) {
+							problems.push(`${context.setting}.${property}: must be a ${type} in the ISO format, got '${context.object[property]}'.`);
+						}
+					});
+					if (context.object.min !== undefined && context.object.max !== undefined && !(context.object.min <= context.object.max)) {
+						problems.push(`${context.setting}.min/max: min must not be later than max, got '${context.object.min}' and '${context.object.max}'.`);
+					}
+					if (context.object.locale !== undefined && typeof context.object.locale !== "string") {
+						problems.push(`${context.setting}.locale: must be a string.`);
+					}
+					return problems;
+				},
+				// Values in other formats the Date constructor understands (e.g. a Date object or a full ISO timestamp) are converted to the setting's ISO format in local time.
+				parse: (value) => {
+					if (SettingsManager.#parseDate(type, value) !== null) return value;
+					var date = new Date(value);
+					return isNaN(date.getTime()) ? value : SettingsManager.#formatDate(type, date);
+				},
+				validate: (value, context) => {
+					var formats = { date: "YYYY-MM-DD", time: "HH:MM", datetime: "YYYY-MM-DDTHH:MM" };
+					if (SettingsManager.#parseDate(type, value) === null) {
+						return `The value '${value}' of the setting '${context.setting}' is not a valid ${type} in the format ${formats[type]}.`;
+					}
+					// The ISO format sorts chronologically, so the bounds can be compared as strings.
+					if ((context.object.min !== undefined && value < context.object.min) || (context.object.max !== undefined && value > context.object.max)) {
+						return `The value '${value}' of the setting '${context.setting}' is not between ${context.object.min ?? "any"} and ${context.object.max ?? "any"}.`;
+					}
+					return null;
+				},
+				display: (context) => {
+					if (context.object.format !== undefined) return context.object.format(context.value);
+					var styles = { date: { dateStyle: "medium" }, time: { timeStyle: "short" }, datetime: { dateStyle: "medium", timeStyle: "short" } };
+					return new Intl.DateTimeFormat(context.object.locale, styles[type]).format(SettingsManager.#parseDate(type, context.value));
+				},
+				render: (context) => {
+					var attributes = { type: (type === "datetime") ? "datetime-local" : type, value: context.value };
+					if (context.object.min !== undefined) attributes.min = context.object.min;
+					if (context.object.max !== undefined) attributes.max = context.object.max;
+					return context.manager.#renderInput(context, "input", attributes, true);
+				},
+				update: (context) => context.manager.#updateInputs(context),
+				bindEvents: (context) => context.manager.#bindInputs(context, (input) => input.value),
+			}));
+
+			// A button.TopButton with a color swatch, opening a div.SubMenu with a color input, an opacity slider for colors with an "alpha" channel and a swatch button.SubButton for each preset option.
+			SettingsManager.registerType("color", {
+				subMenu: true,
+				defaults: { default: "#000000" },
+				validateDefinition: (context) => {
+					var problems = [];
+					if (context.object.alpha !== undefined && typeof context.object.alpha !== "boolean") {
+						problems.push(`${context.setting}.alpha: must be a boolean.`);
+					}
+					// The presets are optional.
+					if (context.object.options !== undefined) {
+						if (!isObject(context.object.options)) {
+							problems.push(`${context.path("options")}: must be an object or an array of preset colors.`);
+						} else {
+							for (var preset in context.object.options) {
+								if (!isObject(context.object.options[preset]) || (typeof context.object.options[preset].label !== "string" && typeof context.object.options[preset].label !== "number")) {
+									problems.push(`${context.optionPath(preset, "label")}: is missing or is not a string.`);
+								} else if (!isFunction(context.object.options[preset].onSelect)) {
+									problems.push(`${context.optionPath(preset, "onSelect")}: must be a function.`);
+								}
+								if (SettingsManager.#normalizeColor(preset, context.object.alpha === true) === null) {
+									problems.push(`${context.path("options")}.${preset}: is not a valid color.`);
+								}
+							}
+						}
+					}
+					return problems;
+				},
+				parse: (value, context) => SettingsManager.#normalizeColor(value, context.object.alpha === true) ?? value,
+				validate: (value, context) => {
+					var color = SettingsManager.#parseColor(value);
+					if (color === null) {
+						return `The value '${value}' of the setting '${context.setting}' is not a hex (#rrggbb) or rgb() color.`;
+					}
+					if (color.a < 255 && context.object.alpha !== true) {
+						return `The value '${value}' of the setting '${context.setting}' is transparent, but the setting does not support an alpha channel.`;
+					}
+					return null;
+				},
+				// The color is displayed as a swatch, followed by the label of the matching preset or the color itself.
+				display: (context) => {
+					var preset = (context.object.options !== undefined && context.object.options[context.value] !== undefined) ? context.object.options[context.value].label : context.value;
+					return `<i class="Swatch" style="background-color: ${context.escape(context.value)}"></i>` + context.escape(preset);
+				},
+				handler: (context) => {
+					var preset = (context.object.options !== undefined) ? context.object.options[context.value] : undefined;
+					return (preset !== undefined && preset.onSelect !== undefined) ? preset.onSelect : context.object.onChange;
+				},
+				// The color input shows the #rrggbb part of the color, the opacity slider its alpha channel from 0 to 1.
+				render: (context) => {
+					var opacity = String(Math.round(SettingsManager.#parseColor(context.value).a / 2.55) / 100);
+					var colorHTML = context.manager.#renderInput(context, "input", { type: "color", value: context.value.slice(0, 7) });
+					if (context.object.alpha === true) {
+						colorHTML += context.manager.#renderInput(context, "input", { type: "range", min: 0, max: 1, step: 0.01, channel: "alpha", "aria-label": context.object.label + " opacity", value: opacity });
+					}
+					if (context.object.options !== undefined) {
+						colorHTML += context.manager.#renderOptions(context, [context.value], false, true);
+					}
+					return colorHTML;
+				},
+				update: (context) => {
+					var color = SettingsManager.#parseColor(context.value);
+					context.manager.#updateInputs(context, (input) => (input.getAttribute("channel") === "alpha") ? String(Math.round(color.a / 2.55) / 100) : context.value.slice(0, 7));
+					context.manager.#updateOptions(context, [context.value]);
+				},
+				bindEvents: (context) => {
+					context.manager.#bindInputs(context, () => {
+						var color = context.subMenu.querySelector(".SubInput[type='color']").value;
+						var opacity = context.subMenu.querySelector(".SubInput[channel='alpha']");
+						return (opacity === null) ? color : color + Math.round(Number(opacity.value) * 255).toString(16).padStart(2, "0");
+					}, true);
+					context.manager.#bindOptions(context, (button) => context.set(button.value));
+				},
+			});
+
+			// A div.SubMenu with an editable list of user-entered strings.
+			SettingsManager.registerType("list", {
+				subMenu: true,
+				defaults: { default: [], valueType: "json" },
+				validateDefinition: (context) => {
+					var problems = defineFunctions(context, ["itemValidate"]);
+					if (context.object.maxItems !== undefined && !(Number.isInteger(context.object.maxItems) && context.object.maxItems > 0)) {
+						problems.push(`${context.setting}.maxItems: must be a positive integer, got '${context.object.maxItems}'.`);
+					}
+					if (context.object.dedupe !== undefined && typeof context.object.dedupe !== "boolean") {
+						problems.push(`${context.setting}.dedupe: must be a boolean.`);
+					}
+					if (context.object.placeholder !== undefined && typeof context.object.placeholder !== "string") {
+						problems.push(`${context.setting}.placeholder: must be a string.`);
+					}
+					return problems;
+				},
+				// The items are trimmed, empty items are dropped and, unless "dedupe" is false, repeated items are dropped as well.
+				parse: (value, context) => {
+					var items = context.typed;
+					if (!(items instanceof Array)) return value;
+					items = items.map((item) => (typeof item === "string") ? item.trim() : item).filter((item) => item !== "");
+					if (context.object.dedupe !== false) items = items.filter((item, index) => items.indexOf(item) === index);
+					return context.manager.#encode(context.setting, items);
+				},
+				validate: (value, context) => {
+					var items = context.typed;
+					if (!(items instanceof Array) || items.some((item) => typeof item !== "string")) {
+						return `The value '${value}' of the setting '${context.setting}' is not an array of strings.`;
+					}
+					if (context.object.maxItems !== undefined && items.length > context.object.maxItems) {
+						return `At most ${context.object.maxItems} item(s) can be added to the setting '${context.setting}'.`;
+					}
+					if (context.object.itemValidate !== undefined) {
+						// The itemValidate function returns true if the item is valid, and false or a message describing the problem otherwise.
+						for (var item of items) {
+							try {
+								var result = context.object.itemValidate(item);
+								if (typeof result === "string") return result;
+								if (result !== true) return `The item '${item}' is not valid for the setting '${context.setting}'.`;
+							} catch(e) {
+								return `The item '${item}' is not valid for the setting '${context.setting}'.\n ${e}`;
+							}
+						}
+					}
+					return null;
+				},
+				// The items are entered by the user, so they are escaped.
+				display: (context) => (context.typed.length === 0) ? context.escape(context.object.emptyLabel ?? "None") : context.typed.map((item) => context.escape(item)).join(", "),
+				render: (context) => context.manager.#renderList(context.setting, context.value),
+				// The items are regenerated and the field to add an item with is cleared once its item was added.
+				update: (context) => {
+					if (context.error) return;
+					context.subMenu.querySelector(".SubList").innerHTML = context.manager.#renderListItems(context.setting, context.value);
+					context.subMenu.querySelector(".ListInput").value = "";
+				},
+				bindEvents: (context) => {
+					context.subMenu.addEventListener("click", (event) => {
+						var button = event.target.closest("button.ListButton");
+						if (button !== null) context.manager.#editList(context, button.getAttribute("list-action"), Number(button.getAttribute("index")));
+					});
+					context.subMenu.addEventListener("keydown", (event) => {
+						if (event.target.classList.contains("ListInput") && event.key === "Enter") {
+							event.preventDefault();
+							context.manager.#editList(context, "add");
+						}
+					});
+				},
+			});
+
+			// A button.TopButton that captures the next key combination pressed.
+			SettingsManager.registerType("keybinding", {
+				defaults: { default: "" }, // An empty value leaves the keybinding unbound.
+				validateDefinition: (context) => {
+					var problems = [];
+					if (context.object.reserved !== undefined && (!(context.object.reserved instanceof Array) || context.object.reserved.some((combo) => !SettingsManager.#normalizeKeybinding(combo)))) {
+						problems.push(`${context.setting}.reserved: must be an array of key combinations (e.g. "Ctrl+Shift+K").`);
+					}
+					if (context.object.emptyLabel !== undefined && typeof context.object.emptyLabel !== "string") {
+						problems.push(`${context.setting}.emptyLabel: must be a string.`);
+					}
+					// Keybinding settings can not share a key combination, of two settings with the same default combination the later one is reported.
+					var settings = context.manager.#settings;
+					var earlier = Object.keys(settings).slice(0, Object.keys(settings).indexOf(context.setting));
+					var combo = SettingsManager.#normalizeKeybinding(context.object.default) ?? context.object.default;
+					var conflict = earlier.find((other) => isObject(settings[other]) && settings[other].type === "keybinding" && combo !== "" && settings[other].default === combo);
+					if (conflict !== undefined) {
+						problems.push(`${context.setting}.default: the key combination '${combo}' is already bound to the setting '${conflict}'.`);
+					}
+					return problems;
+				},
+				parse: (value) => SettingsManager.#normalizeKeybinding(value) ?? value,
+				validate: (value, context) => {
+					if (value === "") return null;
+					if (SettingsManager.#normalizeKeybinding(value) !== value) {
+						return `The value '${value}' of the setting '${context.setting}' is not a key combination (e.g. "Ctrl+Shift+K").`;
+					}
+					var reserved = SettingsManager.#reservedKeybindings.concat(context.object.reserved || []).map((combo) => SettingsManager.#normalizeKeybinding(combo));
+					if (reserved.includes(value)) {
+						return `The key combination '${value}' is reserved and can not be bound to the setting '${context.setting}'.`;
+					}
+					// The values of the other keybinding settings are only available once the storage is set, conflicting defaults are reported by validateDefinition.
+					var manager = context.manager;
+					if (manager.#storage !== null) {
+						var conflict = Object.keys(manager.#settings).find((other) => other !== context.setting && manager.#settings[other].type === "keybinding" && manager.getSetting(other) === value);
+						if (conflict !== undefined) {
+							return `The key combination '${value}' is already bound to the setting '${conflict}'.`;
+						}
+					}
+					return null;
+				},
+				display: (context) => (context.value === "") ? context.escape(context.object.emptyLabel ?? "None") : context.value.split("+").map((key) => "<kbd>" + context.escape(key) + "</kbd>").join("+"),
+				render: (context) => context.button.setAttribute("aria-pressed", "false"),
+				// Capture the next key combination, or stop capturing if it already was.
+				bindEvents: (context) => context.button.addEventListener("click", () => {
+					(context.manager.#capture.button === context.button) ? context.manager.#stopCapture() : context.manager.#startCapture(context.button);
+				}),
+			});
+		}
+
+	/* Public Getter and Setter functions */
+
+		// Get the schema version of the settings list.
+		/**
+		 * @method getVersion - Get the schema version of the settings list, as defined by its "$version" entry.
+		 * @returns {number|undefined} - The schema version, or undefined if the settings list is not versioned.
+		 */
+		getVersion() { return this.#meta["$version"]; }
+
+		// Get the whole settings object.
+		/**
+		 * @method getSettings - Get the whole settings object.
+		 * @returns {object} - The settings object.
+		 */
+		getSettings() { return this.#settings; }
+	
+		// Get the setting's value.
+		/**
+		 * @method getSetting - Get the setting's value.
+		 * @description The value of a computed setting is computed from the current values of the settings it depends on.
+		 * @param {string} setting - The name of the setting to get the value of.
+		 * @returns {*} - The value of the setting, typed according to the setting's value type.
+		 */
+		getSetting(setting) {
+			try {
+				if (this.#settings[setting].compute !== undefined) {
+					return this.#computeValue(setting);
+				}
+
+				var value = (this.#overrides !== null && this.#overrides[setting] !== undefined) ? this.#overrides[setting] : this.#storage.get(this.#storageKey(setting));
+				if(value === null) {
+					return this.#decode(setting, this.#settings[setting].default);
+				} else {
+					return this.#decode(setting, value);
+				}
+			} catch(e) {
+				console.log(e);
+				return null;
+			}
+		}
+
+		// Get the setting's object.
+		/**
+		 * @method getSettingObject - Get the setting's object.
+		 * @param {string} setting - The name of the setting to get the object of.
+		 * @returns {object} - The object of the setting.
+		 */
+		getSettingObject(setting) {
+			return this.#settings[setting];
+		}
+
+		// Get the whole default settings object.
+		/**
+		 * @method getDefaultSettings - Get the whole default settings object.
+		 * @returns {object} - The default settings object.
+		 */
+		getDefaults() { return this.#defaults; }
+
+		// Get the setting's default value.
+		/**
+		 * @method getDefaultSetting - Get the setting's default value.
+		 * @param {string} setting - The name of the setting to get the default value of.
+		 * @returns {*} - The default value of the setting, typed according to the setting's value type.
+		 */
+		getDefault(setting) {
+			return this.#decode(setting, this.#defaults[setting].default);
+		}
+
+		// Get the setting's default object.
+		/**
+		 * @method getDefaultObject - Get the setting's default object.
+		 * @param {string} setting - The name of the setting to get the default object of.
+		 * @returns {object} - The default object of the setting.
+		 */
+		getDefaultObject(setting) {
+			return this.#defaults[setting];
+		}
+
+		// Aliases for getSetting, getSettingObject, getDefault and getDefaultObject
+		get(setting) { return this.getSetting(setting); }
+		getObject = this.getSettingObject;
+		_get(setting) { return this.getDefault(setting); }
+		_getObject(setting) { return this.getDefaultObject(setting); }
+
+		// Set the setting's value to the given value.
+		// The function is executed with the setting's name and the setting's value as arguments.
+		// If the setting's options object matching the given value has an "onSelect" property, the function should execute the setting's function passing the args argument as argument.
+		// If the args argument is not given, the function should execute the setting's function using executeSetting without passing any arguments.
+		// The setting should only be set if it matches one of the setting's options, or for range settings if it is within the setting's bounds.
+		// If the setting is successfully set, the function "updateDOM" should be executed with the setting's name, value and error status as arguments.
+		/**
+		 * @method setSetting - Set the setting's value to the given value.
+		 * @param {string} setting - The name of the setting to set the value of.
+		 * @param {Object} args - The arguments to pass to the setting's function.
+		 * @param {*} args.v - The value to set the setting to, either typed according to the setting's value type or in its serialized form.
+		 * @param {string} args.source - Optional - Defaults to "api". The source of the change, passed on to the change event listeners (e.g. "api", "ui" or "init").
+		 */
+		setSetting(setting, args = {v: undefined}) {
+			// Computed settings can not be set, their value only changes with the settings they depend on.
+			if (this.#settings[setting] !== undefined && this.#settings[setting].compute !== undefined) {
+				console.error(`SETTINGS: The setting '${setting}' is computed from the settings ${this.#settings[setting].dependsOn.join(", ")} and can not be set.`);
+				return;
+			}
+
+			try {
+				var value = this.#encode(setting, this.#decode(setting, args.v)); // serialize the value, the options are keyed by the serialized form of their value.
+					value = this.#normalizeValue(setting, value); // normalize the value into the form it is stored in (e.g. a color in its hex form).
+				// The default of the setting's type (e.g. the empty text) is not checked when it is applied on initialization or received from another tab, like it is not checked on construction.
+				var implicitDefault = (args.source === "init" || args.source === "sync") && this.#implicitDefaults.has(setting) && value === this.#encode(setting, this.#settings[setting].default);
+				var problem = implicitDefault ? null : this.#validateValue(setting, value); // check the value against the setting's options or bounds.
+
+				if (problem === null) { // if the value is valid, set the setting.
+					try { // try to set the setting.
+						if (this.#getHandler(setting, value) !== undefined) { // if the option or setting has a function, execute the function.
+							(async ()=>{
+								await this.executeSetting(setting, {value: value, args: args});
+								this.#commit(setting, value, args.source);
+							})();
+						} else { // if the setting has no function, set the setting.
+							try {
+								this.#commit(setting, value, args.source);
+								this.updateDOM(setting, value, false);
+							} catch(e) {
+								console.error(e);
+								throw "Could not set the setting '" + setting + "' to '" + args.v + "'.\n Error: " + e;
+							}
+						}
+					} catch(e) {
+						console.error(e);
+						throw "Could not set the setting '" + setting + "' to '" + args.v + "'.\n Error: " + e;
+					} 
+				} else { // if the value is not valid, throw an error.
+					throw problem;
+				}
+			} catch(e) {
+				console.error(e);
+				this.updateDOM(setting, this.getSetting(setting), String(e)); // keep displaying the current value, in the error state with the problem as message.
+			}
+
+					// localStorage.setItem(setting, args.v);
+					// this.executeSetting(setting, {value: args.v, args: args});
+					// return true;
+				// } catch(e) {
+				// 	console.log(e);
+				// 	this.updateDOM(setting, args.v, true);
+				// 	return false;
+				// }
+			// } else {
+			// 	this.updateDOM(setting, args.v, true);
+			// 	return false;
+			// }
+		}
+
+		// Alias for setSetting
+		set(setting, args) { return this.setSetting(setting, args); }
+
+		// Store a setting's serialized value and notify the change event listeners if the value changed.
+		/**
+		 * @method #commit (private) - Store a setting's serialized value and emit the "change" and "change:<setting>" events if the value changed.
+		 * @param {string} setting - The name of the setting.
+		 * @param {string} value - The serialized value to store.
+		 * @param {string} source - Optional - Defaults to "api". The source of the change.
+		 */
+		#commit(setting, value, source = "api") {
+			var oldValue = (this.#committed[setting] !== undefined) ? this.#committed[setting] : this.#encode(setting, this.getSetting(setting));
+			var computed = this.#settings[setting].compute !== undefined;
+			if (!computed) {
+				this.#storage.set(this.#storageKey(setting), value); // computed settings are not stored.
+			}
+			this.#committed[setting] = value;
+
+			if (oldValue !== value) {
+				var detail = {
+					setting: setting,
+					value: this.#decode(setting, value),
+					oldValue: this.#decode(setting, oldValue),
+					source: source,
+				};
+				this.#emit("change:" + setting, detail);
+				this.#emit("change", detail);
+
+				// Re-evaluate the conditions and computed values of the settings depending on this setting, once its own change has been announced.
+				this.#updateDependents(setting);
+
+				// Let the other tabs know about the change, unless the change came from another tab itself. Computed settings are recomputed by the other tabs themselves.
+				if (this.#sync.channel !== null && source !== "sync" && !computed) {
+					this.#sync.channel.postMessage({setting: setting, value: value});
+				}
+			}
+		}
+
+	/* Section functions */
+
+		// Get the sections of the settings list.
+		/**
+		 * @method getSections - Get the sections of the settings list, as defined by its "$sections" entry.
+		 * @returns {object} - The sections, keyed by name in the order they are displayed in.
+		 */
+		getSections() { return this.#sections; }
+
+		// Check whether a section is expanded.
+		// Which sections are expanded is remembered in the storage backend under the "$sections" key, sections that were never expanded or collapsed use their "expanded" property (defaulting to true).
+		/**
+		 * @method isSectionExpanded - Check whether a section is expanded.
+		 * @param {string} section - The name of the section.
+		 * @returns {boolean} - True if the section is expanded, false otherwise.
+		 */
+		isSectionExpanded(section) {
+			var state = this.#sectionState();
+			if (typeof state[section] === "boolean") return state[section];
+
+			return this.#sections[section] !== undefined && this.#sections[section].expanded !== false;
+		}
+
+		// Expand or collapse a section and remember its state.
+		/**
+		 * @method toggleSection - Expand or collapse a section, showing or hiding its settings.
+		 * @param {string} section - The name of the section.
+		 * @param {boolean} expanded - Optional. Whether to expand the section, defaults to toggling it.
+		 * @returns {this} - The SettingsManager instance.
+		 */
+		toggleSection(section, expanded = !this.isSectionExpanded(section)) {
+			if (this.#sections[section] === undefined) {
+				console.error(`SETTINGS: Could not toggle the section '${section}', it is not defined in the settings list.`);
+				return this;
+			}
+
+			var state = this.#sectionState();
+			state[section] = expanded === true;
+			try {
+				this.#storage.set(this.#storageKey("$sections"), JSON.stringify(state));
+			} catch(e) {
+				console.error(`SETTINGS: Could not store the state of the section '${section}'.\n ${e}`);
+			}
+
+			this.#updateSectionDOM(section);
+			this.#updateTabindexes();
+			return this;
+		}
+
+		// Aliases for toggleSection.
+		expandSection(section) { return this.toggleSection(section, true); }
+		collapseSection(section) { return this.toggleSection(section, false); }
+
+		// Check whether a whole section is hidden from the settings UI.
+		/**
+		 * @method isSectionHidden - Check whether a section is hidden, as set by its "hidden" property or hideSection().
+		 * @param {string} section - The name of the section.
+		 * @returns {boolean} - True if the section is hidden, false otherwise.
+		 */
+		isSectionHidden(section) { return this.#sections[section] !== undefined && this.#sections[section].hidden === true; }
+
+		// Show or hide a whole section, including its button.SectionButton, in the settings UI.
+		// Unlike whether a section is expanded, whether it is hidden is not remembered.
+		/**
+		 * @method showSection - Show a section that was hidden.
+		 * @param {string} section - The name of the section.
+		 * @returns {this} - The SettingsManager instance.
+		 */
+		showSection(section) { return this.#setSectionHidden(section, false); }
+
+		/**
+		 * @method hideSection - Hide a section and all of its settings.
+		 * @param {string} section - The name of the section.
+		 * @returns {this} - The SettingsManager instance.
+		 */
+		hideSection(section) { return this.#setSectionHidden(section, true); }
+
+		/**
+		 * @method #setSectionHidden (private) - Set whether a section is hidden.
+		 * @param {string} section - The name of the section.
+		 * @param {boolean} hidden - Whether to hide the section.
+		 * @returns {this} - The SettingsManager instance.
+		 */
+		#setSectionHidden(section, hidden) {
+			if (this.#sections[section] === undefined) {
+				console.error(`SETTINGS: Could not ${hidden ? "hide" : "show"} the section '${section}', it is not defined in the settings list.`);
+				return this;
+			}
+
+			this.#sections[section].hidden = hidden;
+			this.#updateSectionDOM(section);
+			this.#updateTabindexes();
+			return this;
+		}
+
+		/**
+		 * @method #sectionState (private) - Get the remembered expanded state of the sections.
+		 * @returns {object} - Whether each section is expanded, keyed by section name. Sections that were never expanded or collapsed are not included.
+		 */
+		#sectionState() {
+			try {
+				var state = JSON.parse(this.#storage.get(this.#storageKey("$sections")));
+				return (typeof state === "object" && state !== null) ? state : {};
+			} catch(e) {
+				return {};
+			}
+		}
+
+	/* Condition functions */
+
+		// Check whether a setting is visible, which is the case if it has no "visibleWhen" condition or if its condition is met.
+		/**
+		 * @method isSettingVisible - Check whether a setting's "visibleWhen" condition is met.
+		 * @param {string} setting - The name of the setting.
+		 * @returns {boolean} - True if the setting is visible, false otherwise.
+		 */
+		isSettingVisible(setting) { return this.#checkCondition(this.#settings[setting].visibleWhen); }
+
+		// Check whether a setting is enabled, which is the case if it has no "enabledWhen" condition or if its condition is met.
+		/**
+		 * @method isSettingEnabled - Check whether a setting's "enabledWhen" condition is met.
+		 * @param {string} setting - The name of the setting.
+		 * @returns {boolean} - True if the setting is enabled, false otherwise.
+		 */
+		isSettingEnabled(setting) { return this.#checkCondition(this.#settings[setting].enabledWhen); }
+
+		// Check a condition against the current values of the settings it references.
+		// Every setting in the condition has to match: a value matches if it equals the condition's value, one of the values in the condition's array, or if the condition's function returns true for it.
+		// Values are compared in their serialized form, so e.g. 30 matches "30" for a number setting. Settings that were skipped by the settings list validation are ignored.
+		/**
+		 * @method #checkCondition (private) - Check whether a "visibleWhen" or "enabledWhen" condition is met.
+		 * @param {Object} condition - The condition, undefined if there is none.
+		 * @returns {boolean} - True if the condition is met or if there is no condition, false otherwise.
+		 */
+		#checkCondition(condition) {
+			if (condition === undefined) return true;
+
+			return Object.keys(condition).every((setting) => {
+				if (this.#settings[setting] === undefined) return true;
+
+				var value = this.getSetting(setting);
+				var expected = condition[setting];
+				if (typeof expected === "function") {
+					return expected(value) === true;
+				}
+
+				var serialized = this.#encode(setting, value);
+				return ((expected instanceof Array) ? expected : [expected]).some((candidate) => this.#encode(setting, this.#decode(setting, candidate)) === serialized);
+			});
+		}
+
+		/**
+		 * @method #dependencies (private) - Get the settings referenced by the conditions of a setting and of its options, and by its "dependsOn" if it is computed.
+		 * @param {string} setting - The name of the setting.
+		 * @returns {string[]} - The names of the settings the setting depends on.
+		 */
+		#dependencies(setting) {
+			var settingObject = this.#settings[setting];
+			var conditions = [settingObject.visibleWhen, settingObject.enabledWhen];
+			if (settingObject.dependsOn instanceof Array) {
+				conditions.push(Object.fromEntries(settingObject.dependsOn.map((dependency) => [dependency, true])));
+			}
+			for (var option in (settingObject.options || {})) {
+				if (typeof settingObject.options[option] === "object" && settingObject.options[option] !== null) {
+					conditions.push(settingObject.options[option].visibleWhen, settingObject.options[option].enabledWhen);
+				}
+			}
+
+			var dependencies = [];
+			conditions.forEach((condition) => {
+				Object.keys(condition || {}).forEach((dependency) => {
+					if (!dependencies.includes(dependency)) dependencies.push(dependency);
+				});
+			});
+			return dependencies;
+		}
+
+		// Hide or disable the elements of a setting and of its options according to their conditions.
+		// Only the settings and options that have a condition are changed, so a "disabled" attribute set through the setting's "attributes" or an option's "disabled" property is kept.
+		/**
+		 * @method #applyConditions (private) - Apply the conditions of a setting and of its options to their elements.
+		 * @param {string} setting - The name of the setting.
+		 * @param {Object} elements - Optional. The setting's "button" and "subMenu" elements, defaults to the ones inside the settings container.
+		 */
+		#applyConditions(setting, elements) {
+			if (elements === undefined) {
+				if (this.#container.element === null || this.#container.element === undefined) return;
+				elements = this.#settingElements(setting, this.#container.element);
+			}
+			if (elements.button === null) return;
+
+			var settingObject = this.#settings[setting];
+			if (settingObject.visibleWhen !== undefined) {
+				var visible = this.isSettingVisible(setting);
+				elements.button.hidden = !visible;
+				var wrapperDOM = elements.button.closest(".Setting[setting=\"" + CSS.escape(setting) + "\"]");
+				if (wrapperDOM !== null) {
+					wrapperDOM.hidden = !visible; // The wrapper rendered by a "setting" template.
+				}
+				// A div.SubMenu is hidden while it is closed, so it only has to be closed along with its hidden setting.
+				if (elements.subMenu !== null && !visible) {
+					this.#toggleSubMenuState(elements.subMenu, elements.button, false);
+				}
+			}
+			if (settingObject.enabledWhen !== undefined) {
+				var disabledByAttribute = (settingObject.attributes || []).some((attribute) => ((attribute instanceof Array) ? attribute[0] : attribute) === "disabled");
+				elements.button.toggleAttribute("disabled", disabledByAttribute || !this.isSettingEnabled(setting));
+			}
+
+			if (elements.subMenu !== null && settingObject.options !== undefined) {
+				elements.subMenu.querySelectorAll("button.SubButton").forEach((button) => {
+					var option = settingObject.options[button.value];
+					if (option === undefined) return;
+					if (option.visibleWhen !== undefined) {
+						button.hidden = !this.#checkCondition(option.visibleWhen);
+					}
+					if (option.enabledWhen !== undefined) {
+						button.toggleAttribute("disabled", (option.disabled !== undefined && option.disabled != false) || !this.#checkCondition(option.enabledWhen));
+					}
+				});
+			}
+		}
+
+		/**
+		 * @method #updateDependents (private) - Re-apply the conditions and recompute the value of every setting depending on a setting, after the setting changed.
+		 * @param {string} setting - The name of the setting that changed.
+		 */
+		#updateDependents(setting) {
+			for (var dependent in this.#settings) {
+				if (this.#dependencies(dependent).includes(setting)) {
+					this.#applyConditions(dependent);
+					if (this.#settings[dependent].compute !== undefined) {
+						this.#recompute(dependent);
+					}
+				}
+			}
+
+			// Keep a button that can still be focused in the tab order, as the conditions can have hidden or disabled the one that was.
+			this.#updateTabindexes();
+		}
+
+	/* Computed setting functions */
+
+		// Check whether a setting is computed from other settings.
+		/**
+		 * @method isComputed - Check whether a setting is computed from other settings, as defined by its "compute" function.
+		 * @param {string} setting - The name of the setting.
+		 * @returns {boolean} - True if the setting is computed, false otherwise.
+		 */
+		isComputed(setting) { return this.#settings[setting] !== undefined && this.#settings[setting].compute !== undefined; }
+
+		// Compute the value of a computed setting from the current values of the settings it depends on.
+		// The "compute" function is called with the usual arguments, plus the typed values of the settings in "dependsOn" as "values" (e.g. args.values.shadows).
+		// If the function throws, the setting's default value is used instead.
+		/**
+		 * @method #computeValue (private) - Compute the value of a computed setting.
+		 * @param {string} setting - The name of the computed setting.
+		 * @returns {*} - The computed value, typed according to the setting's value type.
+		 */
+		#computeValue(setting) {
+			var settingObject = this.#settings[setting];
+			var values = {};
+			settingObject.dependsOn.forEach((dependency) => {
+				values[dependency] = this.getSetting(dependency);
+			});
+
+			try {
+				return this.#decode(setting, this.#encode(setting, settingObject.compute({s: this, this: settingObject, values: values})));
+			} catch(e) {
+				console.error(`SETTINGS: Error computing the value of the setting '${setting}'.\n ${e}`);
+				return this.#decode(setting, settingObject.default);
+			}
+		}
+
+		// Recompute a computed setting after a setting it depends on changed.
+		// If its value changed, its function or option's function is executed and the change is committed with the source "compute", which notifies the change event listeners and the settings depending on it in turn.
+		// This happens after the change events of the setting it depends on have fired, so listeners see the cause before its effects.
+		/**
+		 * @method #recompute (private) - Recompute a computed setting and apply its new value.
+		 * @param {string} setting - The name of the computed setting.
+		 */
+		#recompute(setting) {
+			var value = this.#encode(setting, this.getSetting(setting));
+			if (value === this.#committed[setting]) return;
+
+			this.executeSetting(setting, {value: value});
+			this.#commit(setting, value, "compute");
+		}
+
+	/* Stylesheet functions */
+
+		// Inject a stylesheet into the page's head with a link element, the default stylesheet (settings-manager.css) if no URL is given.
+		// A stylesheet that is already linked is not injected again, so multiple instances can request it.
+		/**
+		 * @method injectStylesheet - Inject the default stylesheet, or a given one, into the page.
+		 * @param {string} href - Optional - Defaults to settings-manager.css next to settings-manager.js. The URL of the stylesheet.
+		 * @returns {HTMLLinkElement|null} - The link element of the stylesheet, or null if there is no DOM.
+		 */
+		static injectStylesheet(href = SettingsManager.#stylesheetURL) {
+			if (typeof document === "undefined") return null;
+
+			var url = new URL(href, document.baseURI).href;
+			var links = document.querySelectorAll("link[rel='stylesheet']");
+			for (var i = 0; i < links.length; i++) {
+				if (links[i].href === url) return links[i];
+			}
+
+			var link = document.createElement("link");
+			link.rel = "stylesheet";
+			link.href = url;
+			link.setAttribute("data-settings-manager", "");
+			// Insert the stylesheet after the ones injected before it but before the page's own stylesheets, so they can override its rules.
+			document.head.insertBefore(link, document.head.querySelector("link[rel='stylesheet']:not([data-settings-manager]), style"));
+			return link;
+		}
+
+	/* Synchronization functions */
+
+		// Start synchronizing setting changes with other open tabs of the same origin.
+		// Changes from other tabs are applied through setSetting with the source "sync", so the option's function runs and the DOM is updated in every tab.
+		// Changes with the source "sync" are never sent on to other tabs and values that are already committed are ignored, so changes don't echo back and forth.
+		/**
+		 * @method startSync - Start synchronizing setting changes with other open tabs.
+		 * @param {Boolean|String} mode - Optional - Defaults to TRUE. "storage" listens to the window's storage events (localStorage only), "broadcast" uses a BroadcastChannel named after the namespace. TRUE picks "storage" for localStorage and "broadcast" otherwise.
+		 * @returns {this} - The SettingsManager instance.
+		 */
+		startSync(mode = true) {
+			this.stopSync();
+
+			if (mode === true) {
+				mode = (this.#storage instanceof SettingsLocalStorage) ? "storage" : "broadcast";
+			}
+
+			// The remote changes are compared with the committed values, so the values of the settings that were not initialized with init() are taken from the storage before another tab overwrites them.
+			for (var setting in this.#settings) {
+				if (this.#committed[setting] === undefined) {
+					this.#committed[setting] = this.#encode(setting, this.getSetting(setting));
+				}
+			}
+
+			switch (mode) {
+				case "storage":
+					this.#sync.handler = (event) => {
+						if (event.storageArea !== window.localStorage || event.key === null) return;
+
+						for (var setting in this.#settings) {
+							if (this.#storageKey(setting) === event.key) {
+								this.#applyRemoteChange(setting, (event.newValue !== null) ? event.newValue : this.#encode(setting, this.getDefault(setting)));
+								break;
+							}
+						}
+					};
+					window.addEventListener("storage", this.#sync.handler);
+					break;
+				case "broadcast":
+					if (typeof BroadcastChannel === "undefined") {
+						console.error(`SETTINGS: Could not start synchronizing settings, BroadcastChannel is not supported in this browser.`);
+						return this;
+					}
+					this.#sync.channel = new BroadcastChannel("SettingsManager:" + (this.#namespace || "default"));
+					this.#sync.channel.onmessage = (event) => {
+						if (event.data && this.#settings.hasOwnProperty(event.data.setting)) {
+							this.#applyRemoteChange(event.data.setting, event.data.value);
+						}
+					};
+					break;
+				default:
+					console.error(`SETTINGS: Unknown sync mode "${mode}", settings will not be synchronized.`);
+					return this;
+			}
+
+			this.#sync.mode = mode;
+			return this;
+		}
+
+		// Stop synchronizing setting changes with other open tabs.
+		/**
+		 * @method stopSync - Stop synchronizing setting changes with other open tabs.
+		 * @returns {this} - The SettingsManager instance.
+		 */
+		stopSync() {
+			if (this.#sync.handler !== null) {
+				window.removeEventListener("storage", this.#sync.handler);
+			}
+			if (this.#sync.channel !== null) {
+				this.#sync.channel.close();
+			}
+
+			this.#sync = {mode: null, channel: null, handler: null};
+			return this;
+		}
+
+		/**
+		 * @method #applyRemoteChange (private) - Apply a setting change received from another tab through the normal setSetting path.
+		 * @param {string} setting - The name of the setting.
+		 * @param {string} value - The serialized value received from the other tab.
+		 */
+		#applyRemoteChange(setting, value) {
+			// Ignore values this instance already committed, this is what prevents echo loops between tabs.
+			if (this.#committed[setting] === value) return;
+
+			this.setSetting(setting, {v: value, source: "sync"});
+		}
+
+	/* Event functions */
+
+		// Register a listener for an event.
+		// The "change" event fires after any setting's new value has been stored, "change:<setting>" only fires for the given setting.
+		// Listeners are called with an object containing the setting's name, its new and old value and the source of the change.
+		/**
+		 * @method on - Register a listener for an event.
+		 * @param {string} event - The name of the event, either "change" or "change:<setting>".
+		 * @param {function} callback - The listener, called with an object containing "setting", "value", "oldValue" and "source".
+		 * @returns {this} - The SettingsManager instance.
+		 * 
+		 * @example
+		 * settingsManager.on("change:theme", function(change) {
+		 * 		console.log(`Theme changed from ${change.oldValue} to ${change.value} by ${change.source}.`);
+		 * });
+		 */
+		on(event, callback) {
+			if (typeof callback !== "function") {
+				console.error(`SETTINGS: The listener for the event "${event}" is not a function.`);
+				return this;
+			}
+
+			(this.#listeners[event] = this.#listeners[event] || []).push({callback: callback, once: false});
+			return this;
+		}
+
+		// Register a listener for an event that is removed after it has been called once.
+		/**
+		 * @method once - Register a listener for an event that is removed after it has been called once.
+		 * @param {string} event - The name of the event, either "change" or "change:<setting>".
+		 * @param {function} callback - The listener, called with an object containing "setting", "value", "oldValue" and "source".
+		 * @returns {this} - The SettingsManager instance.
+		 */
+		once(event, callback) {
+			this.on(event, callback);
+			if (this.#listeners[event] !== undefined && this.#listeners[event].length > 0) {
+				this.#listeners[event][this.#listeners[event].length - 1].once = true;
+			}
+			return this;
+		}
+
+		// Remove a listener for an event, or all listeners for the event if no listener is given.
+		/**
+		 * @method off - Remove a listener for an event.
+		 * @param {string} event - The name of the event.
+		 * @param {function} callback - Optional. The listener to remove. If omitted, all listeners for the event are removed.
+		 * @returns {this} - The SettingsManager instance.
+		 */
+		off(event, callback) {
+			if (this.#listeners[event] === undefined) return this;
+
+			if (callback === undefined) {
+				delete this.#listeners[event];
+			} else {
+				this.#listeners[event] = this.#listeners[event].filter((listener) => listener.callback !== callback);
+			}
+			return this;
+		}
+
+		// Call all listeners registered for an event, removing the ones registered with once().
+		/**
+		 * @method #emit (private) - Call all listeners registered for an event.
+		 * @param {string} event - The name of the event.
+		 * @param {Object} detail - The object to pass to the listeners.
+		 */
+		#emit(event, detail) {
+			var listeners = this.#listeners[event];
+			if (listeners === undefined) return;
+
+			this.#listeners[event] = listeners.filter((listener) => !listener.once);
+
+			listeners.forEach((listener) => {
+				try {
+					listener.callback.call(this, detail);
+				} catch(e) {
+					console.error(`SETTINGS: Error in a listener for the event "${event}".\n ${e}`);
+				}
+			});
+		}
+
+		// Get the template manager.
+		/**
+		 * @method getTemplateManager - Get the template manager the settings UI is rendered through.
+		 * @returns {SettingsTemplateManager|null} - The template manager, or null if the built-in markup is used.
+		 */
+		getTemplateManager() { return this.#templates; }
+
+		// Get the storage adapter.
+		/**
+		 * @method getStorage - Get the storage adapter the settings values are saved to and loaded from.
+		 * @returns {SettingsStorage} - The storage adapter.
+		 */
+		getStorage() { return this.#storage; }
+
+		// Get the namespace.
+		/**
+		 * @method getNamespace - Get the namespace that prefixes the keys this instance stores its settings values under.
+		 * @returns {string} - The namespace, or an empty string if no namespace is set.
+		 */
+		getNamespace() { return this.#namespace; }
+
+		// Get all storage keys owned by this instance.
+		/**
+		 * @method getStoredKeys - Get all keys in the storage backend that are owned by this instance.
+		 * @returns {string[]} - The owned storage keys, including the namespace prefix.
+		 */
+		getStoredKeys() {
+			try {
+				return this.#storage.keys().filter((key) => this.#isOwnKey(key));
+			} catch(e) {
+				console.error(`SETTINGS: Could not list the stored keys.\n ${e}`);
+				return [];
+			}
+		}
+
+		// Remove all keys owned by this instance from the storage backend, leaving any other keys untouched.
+		/**
+		 * @method clearStorage - Remove all keys owned by this instance from the storage backend. The settings fall back to their default values afterwards.
+		 * @returns {string[]} - The storage keys that were removed.
+		 */
+		clearStorage() {
+			var keys = this.getStoredKeys();
+			keys.forEach((key) => this.#storage.remove(key));
+			return keys;
+		}
+}
+
+/**
+ * @class SettingsStorage
+ * @classdesc The base class for the storage adapters used by the SettingsManager class to save and load the settings values.
+ * @description A storage adapter only needs to implement the get, set, remove and keys methods below, values are always stored as strings.
+ * Custom adapters can either extend this class or be plain objects implementing the same methods.
+ * 
+ * @example
+ * // Create a new settings manager instance that does not persist any settings.
+ * var settingsManager = new SettingsManager({
+ * 		settings: settingsList,
+ * 		storage: new SettingsMemoryStorage(),
+ * });
+ */
+class SettingsStorage {
+	/**
+	 * @method get - Get the stored value of a key.
+	 * @param {string} key - The key to get the value of.
+	 * @returns {string|null} - The stored value, or null if the key is not stored.
+	 */
+	get(key) { return null; }
+
+	/**
+	 * @method set - Store a value under a key.
+	 * @param {string} key - The key to store the value under.
+	 * @param {string} value - The value to store.
+	 */
+	set(key, value) {}
+
+	/**
+	 * @method remove - Remove a key and its value from the storage.
+	 * @param {string} key - The key to remove.
+	 */
+	remove(key) {}
+
+	/**
+	 * @method keys - Get all keys currently stored.
+	 * @returns {string[]} - The stored keys.
+	 */
+	keys() { return []; }
+}
+
+/**
+ * @class SettingsWebStorage
+ * @classdesc A storage adapter wrapping a Web Storage API object (localStorage or sessionStorage).
+ * @param {Storage} storage - The Web Storage API object to wrap.
+ */
+class SettingsWebStorage extends SettingsStorage {
+	#storage = null;
+
+	constructor(storage) {
+		super();
+		this.#storage = storage;
+	}
+
+	get(key) { return this.#storage.getItem(key); }
+	set(key, value) { this.#storage.setItem(key, String(value)); }
+	remove(key) { this.#storage.removeItem(key); }
+	keys() {
+		var keys = [];
+		for (var i = 0; i < this.#storage.length; i++) {
+			keys.push(this.#storage.key(i));
+		}
+		return keys;
+	}
+}
+
+/**
+ * @class SettingsLocalStorage
+ * @classdesc A storage adapter that saves the settings values to localStorage. This is the default storage adapter.
+ */
+class SettingsLocalStorage extends SettingsWebStorage {
+	constructor() { super(window.localStorage); }
+}
+
+/**
+ * @class SettingsSessionStorage
+ * @classdesc A storage adapter that saves the settings values to sessionStorage, so they only persist for the current browser session.
+ */
+class SettingsSessionStorage extends SettingsWebStorage {
+	constructor() { super(window.sessionStorage); }
+}
+
+/**
+ * @class SettingsCookieStorage
+ * @classdesc A storage adapter that saves the settings values to cookies, so they are also sent along with requests to the server.
+ * @param {Object} options - Optional. The options used when writing the cookies.
+ * @param {string} options.path - Optional - Defaults to "/". The path the cookies are valid for.
+ * @param {string} options.domain - Optional. The domain the cookies are valid for.
+ * @param {number|Date} options.expires - Optional - Defaults to 365. The number of days until the cookies expire, or the date they expire at. Set to 0 for session cookies.
+ * @param {string} options.sameSite - Optional - Defaults to "Lax". The SameSite attribute of the cookies ("Strict", "Lax" or "None").
+ * @param {boolean} options.secure - Optional - Defaults to FALSE. Whether the cookies should only be sent over HTTPS. Required by browsers when sameSite is "None".
+ */
+class SettingsCookieStorage extends SettingsStorage {
+	#options = {};
+
+	constructor(options = {}) {
+		super();
+		this.#options = Object.assign({path: "/", domain: undefined, expires: 365, sameSite: "Lax", secure: false}, options);
+	}
+
+	get(key) {
+		var cookies = this.#parse();
+		return cookies.hasOwnProperty(key) ? cookies[key] : null;
+	}
+
+	set(key, value) {
+		document.cookie = encodeURIComponent(key) + "=" + encodeURIComponent(value) + this.#attributes(this.#options.expires);
+	}
+
+	remove(key) {
+		document.cookie = encodeURIComponent(key) + "=" + this.#attributes(new Date(0));
+	}
+
+	keys() { return Object.keys(this.#parse()); }
+
+	/**
+	 * @method #parse (private) - Parse document.cookie into an object of decoded keys and values.
+	 * @returns {Object} - The parsed cookies.
+	 */
+	#parse() {
+		var cookies = {};
+		if (document.cookie === "") return cookies;
+
+		document.cookie.split(";").forEach(function(cookie) {
+			var index = cookie.indexOf("=");
+			if (index === -1) return;
+			try {
+				cookies[decodeURIComponent(cookie.slice(0, index).trim())] = decodeURIComponent(cookie.slice(index + 1).trim());
+			} catch(e) {
+				// Skip cookies that were not written by this adapter and can not be decoded.
+			}
+		});
+
+		return cookies;
+	}
+
+	/**
+	 * @method #attributes (private) - Build the attribute string appended to a cookie when it is written.
+	 * @param {number|Date} expires - The number of days until the cookie expires, or the date it expires at.
+	 * @returns {string} - The cookie attribute string.
+	 */
+	#attributes(expires) {
+		var attributes = "";
+
+		if (expires instanceof Date) {
+			attributes += "; expires=" + expires.toUTCString();
+		} else if (typeof expires === "number" && expires !== 0) {
+			attributes += "; expires=" + new Date(Date.now() + expires * 864e5).toUTCString();
+		}
+
+		if (this.#options.path) attributes += "; path=" + this.#options.path;
+		if (this.#options.domain) attributes += "; domain=" + this.#options.domain;
+		if (this.#options.sameSite) attributes += "; SameSite=" + this.#options.sameSite;
+		if (this.#options.secure) attributes += "; Secure";
+
+		return attributes;
+	}
+}
+
+/**
+ * @class SettingsMemoryStorage
+ * @classdesc A non-persistent storage adapter that keeps the settings values in memory, they are lost when the page is closed or reloaded.
+ */
+class SettingsMemoryStorage extends SettingsStorage {
+	#values = new Map();
+
+	get(key) { return this.#values.has(key) ? this.#values.get(key) : null; }
+	set(key, value) { this.#values.set(key, String(value)); }
+	remove(key) { this.#values.delete(key); }
+	keys() { return Array.from(this.#values.keys()); }
+}
+
+// Export the classes in CommonJS environments (e.g. to render the settings UI on a server with renderToString), in the browser they are globals.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = { SettingsManager, SettingsStorage, SettingsWebStorage, SettingsLocalStorage, SettingsSessionStorage, SettingsCookieStorage, SettingsMemoryStorage };
+}
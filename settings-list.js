@@ -15,21 +15,68 @@
  * @description
  * This file contains the settings object for the Settings class in the settings-manager.js file.
  * The 'settings' object is an object containing child objects for each defined setting.
- * Each child object contains the following properties:
- * - s:				The setting's internal name matching the name of the object.
- * - v:				The setting's default value, which is replaced by a new value when the setting is changed.
- * - a:				The setting's attributes. An array of html attributes to be applied to the setting's input element in the generated settings UI. //TODO: Clean this one up, maybe turn it into an object?
- * - d:				The setting's details, an object containing the following properties:
- * - d.name:		The setting's name, human readable. This is used in the generated settings UI.
- * - d.description: The setting's description. This is used in the generated settings UI.
- * - d.type:		The setting's type, which is used to determine the type of input to generate in the settings UI.
- * - i:				Optional. The setting's initialization function if it needs any special initialization before the setting is initialized on page load.
+ * Each child object contains the following properties (the legacy single-letter key each property can also be given as is noted in brackets):
+ * - key:			Optional [s]. The setting's internal name matching the name of the object.
+ * - label:			[d.name] The setting's name, human readable. This is used in the generated settings UI.
+ * - description:	Optional [d.description]. The setting's description. This is used in the generated settings UI.
+ * - type:			[d.type] The setting's type, which is used to determine the type of input to generate in the settings UI ("submenu", "cycle", "multiselect", "range", "color", "date", "time", "datetime", "keybinding", "list", "text", "textarea", "boolean" or a type registered with SettingsManager.registerType).
+ * - default:		[v] The setting's default value, which is used until the setting is changed. Optional for computed settings, which only use it if computing their value fails.
+ * - valueType:		Optional [t]. The setting's value type, either "string", "number", "boolean", "json" or a custom codec object with "encode(value)" and "decode(string)" functions. Inferred from the default value's type if omitted.
+ * 					Values are returned by getSetting in this type and stored in their serialized form, which is also the key of the matching option in "options" (e.g. the option "30" for the number 30).
+ * - attributes:	Optional [a]. The html attributes to be applied to the setting's button in the generated settings UI. Either an array of attribute names and [name, value] pairs, or an object of attribute values.
+ * - section:		Optional. The name of the section the setting is grouped into in the generated settings UI, as defined by the "$sections" entry.
+ * - visibleWhen:	Optional. A condition on the values of other settings, the setting is hidden from the generated settings UI while it is not met.
+ * 					An object mapping setting names to the value the setting must have, an array of values one of which it must have, or a function receiving its value and returning whether it matches.
+ * - enabledWhen:	Optional. A condition in the same format as "visibleWhen", the setting is disabled in the generated settings UI while it is not met.
+ * - compute:		Optional. Makes the setting a computed, read-only setting. A function receiving the typed values of the settings in "dependsOn" as "values" (e.g. args.values.shadows) and returning the setting's value.
+ * 					Computed settings are displayed in the generated settings UI but can not be set, their value is recomputed whenever one of the settings they depend on changes.
+ * - dependsOn:		Only for computed settings. An array of the names of the settings the value of the setting is computed from.
+ * - onInit:		Optional [i]. The setting's initialization function if it needs any special initialization before the setting is initialized on page load.
  * - f:				Optional. A reserved space for any functions that need to be called from either the initialization function or the setting's option's functions.
- * - o:				The setting's options, an object containing an object for each option, named after the option's value.
- * - o.*:			The option's properties, an object containing the following properties:
- * - o.*.s:			The option's name, human readable. This is used in the generated settings UI. // TODO: Refactor to o.*.name
- * - o.*.f:			Optional. A reserved space for a function that needs to be called upon the option being selected. // TODO: Refactor to o.*.onSelect
- * - o.*.d:			Optional. Defines whether an option is disabled or not. // TODO: Refactor to o.*.a['disabled']
+ * - onChange:		Optional. Only for settings that are not options based (e.g. "range" or "text") and "multiselect" settings. A function that needs to be called upon the setting being changed, in place of the options' "onSelect" functions. "multiselect" settings call it after their options' functions.
+ * - min:			Only for "range" settings. The smallest value the setting accepts.
+ * - max:			Only for "range" settings. The largest value the setting accepts.
+ * - step:			Optional. Only for "range" settings. The step between accepted values, starting from "min". Defaults to 1.
+ * - unit:			Optional. Only for "range" settings. The unit displayed after the value in the generated settings UI (e.g. "%").
+ * - format:		Optional. Only for "range" settings. A function receiving the value and returning its human readable form for the generated settings UI, in place of "unit".
+ * - min/max:		Optional. Only for "date", "time" and "datetime" settings. The earliest and latest value the setting accepts, in the same ISO format as the values ("YYYY-MM-DD", "HH:MM" or "YYYY-MM-DDTHH:MM").
+ * - locale:		Optional. Only for "date", "time" and "datetime" settings. The locale the value is displayed in in the generated settings UI, defaults to the browser's locale.
+ * - format:		Optional. Only for "date", "time" and "datetime" settings. A function receiving the value and returning its human readable form for the generated settings UI, in place of the locale-aware format.
+ * - alpha:			Optional. Only for "color" settings. Whether the color has an alpha channel, stored as "#rrggbbaa" instead of "#rrggbb". Defaults to false.
+ * - maxLength:		Optional. Only for "text" and "textarea" settings. The maximum number of characters the setting accepts.
+ * - placeholder:	Optional. Only for "text", "textarea" and "list" settings. The placeholder text shown in the empty text field.
+ * - validate:		Optional. Only for "text" and "textarea" settings. A function receiving the entered text and returning true if it is valid, or false or a message describing the problem otherwise.
+ * - onEnable:		Optional. Only for "boolean" settings. A function that needs to be called upon the setting being switched on, in place of "onChange".
+ * - onDisable:		Optional. Only for "boolean" settings. A function that needs to be called upon the setting being switched off, in place of "onChange".
+ * - labels:		Optional. Only for "boolean" settings. The labels displayed for the values in the generated settings UI, defaults to {true: "On", false: "Off"}.
+ * - minSelected:	Optional. Only for "multiselect" settings. The smallest number of options that must be selected.
+ * - maxSelected:	Optional. Only for "multiselect" settings. The largest number of options that can be selected.
+ * - emptyLabel:	Optional. Only for "multiselect", "list" and "keybinding" settings. The label displayed in the generated settings UI when no option is selected, the list is empty or no key combination is bound, defaults to "None".
+ * - maxItems:		Optional. Only for "list" settings. The largest number of items the list accepts.
+ * - itemValidate:	Optional. Only for "list" settings. A function receiving an item and returning true if it is valid, or false or a message describing the problem otherwise.
+ * - dedupe:		Optional. Only for "list" settings. Whether repeated items are dropped from the list, defaults to true.
+ * - reserved:		Optional. Only for "keybinding" settings. An array of key combinations (e.g. "Ctrl+S") the setting rejects, in addition to the combinations reserved by the browser and operating system.
+ * - captureLabel:	Optional. Only for "keybinding" settings. The label displayed in the generated settings UI while capturing a key combination, defaults to "Press a key combination...".
+ * - options:		[o] The setting's options (not used by "range", "text", "textarea" and "boolean" settings, optional preset colors for "color" settings), either an object containing an object for each option named after the option's value, or an array of option objects with a "value" property.
+ * - options.*:		The option's properties, an object containing the following properties:
+ * - *.value:		Only for options given as an array. The option's value.
+ * - *.label:		[s] The option's name, human readable. This is used in the generated settings UI.
+ * - *.onSelect:	Optional [f]. A function that needs to be called upon the option being selected.
+ * - *.onDeselect:	Optional. Only for "multiselect" settings. A function that needs to be called upon the option being removed from the selection.
+ * - *.disabled:	Optional [d]. Defines whether an option is disabled or not.
+ * - *.hidden:		Optional [h]. Defines whether an option is hidden from the generated settings UI or not.
+ * - *.visibleWhen:	Optional. A condition in the same format as the setting's "visibleWhen", the option is hidden from the generated settings UI while it is not met.
+ * - *.enabledWhen:	Optional. A condition in the same format as the setting's "visibleWhen", the option is disabled in the generated settings UI while it is not met.
+ * 
+ * Settings defined with the legacy single-letter keys (s, v, t, a, d.name, d.description, d.type, i, o, and s, f, d, h for options) keep working, they are normalized into the properties above.
+ * 
+ * Entries whose keys start with "$" are not settings but metadata for the settings list:
+ * - $version:		Optional. The schema version of the settings list, an integer starting at 1. Increase it whenever setting names or option values are changed.
+ * - $migrations:	Optional. An object containing a migration for each schema version, keyed by the version it migrates the stored values to (from N-1 to N).
+ * 					A migration is either an object with "rename" ({oldName: newName}), "values" ({setting: {oldValue: newValue}}) and "remove" ([setting]) properties,
+ * 					or a function receiving a storage object with get, set, remove and keys functions to migrate the stored values with.
+ * - $sections:		Optional. The sections the settings are grouped into, in the order they are displayed in. Either an object containing an object for each section named after the section, or an array of section objects with a "key" property.
+ * 					Each section has a "label", an optional "description", an optional "expanded" (whether it starts expanded, defaults to true) and an optional "hidden" (whether it starts hidden, defaults to false).
  * 
  * Functions in the setting's object are will always be called with the following arguments:
  * - args:			An array of arguments passed to the function.
@@ -40,32 +87,31 @@
  * @example
  * settingsList = {								// The parent object for all setting objects.
  *		"setting1": {							// A setting object
- *			"s": "setting1", 					// The setting's internal name matching the name of the object.
- *			"v": "default value", 				// The setting's default value, which is replaced by a new value when the setting is changed.
- *			"d": { 								// The setting's details, an object containing the following properties:
- *				"name": "Setting 1",			// The setting's name, human readable. This is used in the generated settings UI.
- *				"description": "This setting is used to do something and this is its description."
- *			},
- *			"i": function(args = {}) {			// Optional. The setting's initialization function if it needs any special initialization before the setting is initialized on page load.
+ *			"key": "setting1", 					// The setting's internal name matching the name of the object.
+ *			"label": "Setting 1",				// The setting's name, human readable. This is used in the generated settings UI.
+ *			"description": "This setting is used to do something and this is its description.",
+ *			"type": "cycle",					// The setting's type.
+ *			"default": "option1", 				// The setting's default value, which is used until the setting is changed.
+ *			"onInit": function(args = {}) {		// Optional. The setting's initialization function if it needs any special initialization before the setting is initialized on page load.
  *				// Initialization code
- * 				// It is good practice to call the setting's setValue function to set the setting's value to the given value at the end of the initialization function.
- * 				args.s.setValue("setting1", {v: args.this.value});
+ * 				// It is good practice to call the Settings object's setSetting function to set the setting's value to the given value at the end of the initialization function.
+ * 				args.s.setSetting("setting1", {v: args.value, source: "init"});
  *			},
  *			"f": function(args = {}) {
  *				// Function code
  * 				// It is good practice to keep your code DRY by defining this function to handle repetitive tasks otherwise duplicated in each option function.
  * 				// It is also a good idea to return true if the function ran succesfully, and false if the function failed. The option functions can then return the output of this function.
  *			},
- *			"o": { 								// The setting's options, an object containing an object for each option, named after the option's value.
+ *			"options": { 						// The setting's options, an object containing an object for each option, named after the option's value.
  *				"option1": {					// The option's properties object. The option's name is the option's value.
- *					"s": "Option 1",			// The option's name, human readable. This is used in the generated settings UI.
- *					"f": function(args = {}) { 
+ *					"label": "Option 1",		// The option's name, human readable. This is used in the generated settings UI.
+ *					"onSelect": function(args = {}) { 
  * 						// Option function code to run when the option is selected. 
  * 						// It is good practice to keep your code DRY by utilizing the setting's top level "f" function to handle repetitive tasks shared by all option functions.
  * 						// It is also a good idea to return true if the function ran succesfully, and false if the function failed. The setting will show in an error state if the function returns false.
  * 						return true;
- * 					}
- *					"d": false 					// Optional. Defines whether an option is disabled or not.
+ * 					},
+ *					"disabled": false 			// Optional. Defines whether an option is disabled or not.
  *				},
  *				"option2": {},					// Another option object.
  *  		}
@@ -76,17 +122,15 @@
 
  var settingsList = {
     "setting1": {
-        "s": "setting1",
-        "v": "option1",
-        "d": {
-            "name": "Setting 1",
-            "description": "This setting is used to do something and this is its description.",
-            "type": "cycle"
-        },
-        "i": function(args = {}) {
+        "key": "setting1",
+        "label": "Setting 1",
+        "description": "This setting is used to do something and this is its description.",
+        "type": "cycle",
+        "default": "option1",
+        "onInit": function(args = {}) {
             // Initialization code
-            // It is good practice to call the setting's setValue function to set the setting's value to the given value at the end of the initialization function.
-            args.s.setValue("setting1", {v: args.this.value});
+            // It is good practice to call the Settings object's setSetting function to set the setting's value to the given value at the end of the initialization function.
+            args.s.setSetting("setting1", {v: args.value, source: "init"});
         },
         "f": function(args = {}) {
             // Function code
@@ -94,10 +138,10 @@
             // It is also a good idea to return true if the function ran succesfully, and false if the function failed. The option functions can then return the output of this function.
             return true;
         },
-        "o": {
+        "options": {
             "option1": {
-                "s": "Option 1",
-                "f": function(args = {}) {
+                "label": "Option 1",
+                "onSelect": function(args = {}) {
                     // Option function code to run when the option is selected. 
                     // It is good practice to keep your code DRY by utilizing the setting's top level "f" function to handle repetitive tasks shared by all option functions.
                     // It is also a good idea to return true if the function ran succesfully, and false if the function failed. The setting will show in an error state if the function returns false.
@@ -105,8 +149,8 @@
                 }
             },
             "option2": {
-                "s": "Option 2",
-                "f": function(args = {}) {
+                "label": "Option 2",
+                "onSelect": function(args = {}) {
                     // Option function code to run when the option is selected. 
                     // It is good practice to keep your code DRY by utilizing the setting's top level "f" function to handle repetitive tasks shared by all option functions.
                     // It is also a good idea to return true if the function ran succesfully, and false if the function failed. The setting will show in an error state if the function returns false.
@@ -114,8 +158,8 @@
                 }
             },
             "option3": {
-                "s": "Option 3",
-                "f": function(args = {}) {
+                "label": "Option 3",
+                "onSelect": function(args = {}) {
                     // Option function code to run when the option is selected. 
                     // It is good practice to keep your code DRY by utilizing the setting's top level "f" function to handle repetitive tasks shared by all option functions.
                     // It is also a good idea to return true if the function ran succesfully, and false if the function failed. The setting will show in an error state if the function returns false.
@@ -2,73 +2,153 @@
  * @fileoverview settings-template-manager.js - The settings template manager.
  * @author Caspar Neervoort "UPLYNXED"
  * @license MIT
- * @version 0.0.0.1
- * 
- * @note This file is far from finished, it's a mess right now while I still work out how I want to handle the templates.
+ * @version 0.1.0.0
  */
 
-// UNFINISHED CODE - DO NOT USE
-
-// This file contains configurable templates for the SettingsManager class.
-// The templates are used to generate the HTML for the settings UI.
-// The templates are created using a template class called SettingsTemplate.
-// The templates are managaed by the SettingsTemplateManager class.
+// This file contains the SettingsTemplateManager class, which renders the settings UI of a SettingsManager through configurable templates.
+// A template is a function receiving a context object and returning the markup of one element, either as an HTML string or as a DOM node.
+// Templates can also be written as tagged templates with SettingsTemplateManager.html, whose interpolated functions are called with the context.
+// Any template that is not defined falls back to the markup SettingsManager generates without templates.
+//
+// The templates and the context they receive:
+// - container:			Wraps the whole settings UI. Receives "manager" and "content".
+// - section:			A settings section. Receives "manager", "section" (the section's name), "object" (the section object), "label", "description", "expanded", "hidden" and "content".
+// 						Must contain a button.SectionButton to expand and collapse the section with and a .SectionContent element containing the "content".
+// - setting:			Wraps the button.TopButton and div.SubMenu of a setting. Receives the setting context (see below) and "content".
+// - settingButton:		The button.TopButton of a setting. Receives the setting context and "content" (the hidden description of the setting, which the button references with aria-describedby). The value is displayed in its first span element.
+// 						A checkbox in the button.TopButton of a boolean setting is checked while the setting is on, so it can be styled as a switch. It should not be focusable (tabindex="-1") and be hidden from assistive technologies, as the button itself is the switch.
+// - settingSubmenu:	The div.SubMenu of a setting, containing the UI of the setting's type. Receives the setting context and "content".
+// - settingOption:		The button.SubButton of an option of a setting. Receives "manager", "setting", "object" (the setting object), "option" (the option's key), "label", "disabled" and "checkable".
+// The setting context contains "manager", "setting" (the setting's name), "object" (the setting object), "label", "description", "type", "value" (the serialized default value), "display" (its human readable form), "name" (the name of the button.TopButton), "subMenu" (whether it has a div.SubMenu) and "computed".
+//
+// "content" is where the nested elements are inserted, e.g. the settings of a section or the UI of a setting's type. If a template does not place it, they are appended to the template's element.
+// Every template has to render a single root element. The classes and attributes SettingsManager depends on (e.g. the class "TopButton" and the name of a button.TopButton) are added to it by SettingsManager, so the templates only need to add their own.
+// This includes the roles, ARIA attributes and tabindex the keyboard navigation relies on, so the buttons of the templates should be button elements.
+// When the settings UI is rendered to a string with SettingsManager.renderToString, the templates have to return HTML strings, and the attributes of the button.SectionButton and .SectionContent of a section are only added once the markup is hydrated.
+//
+// SettingsManager marks the states of the elements with its own classes (e.g. "open" on the div.SubMenu that is open). The "classes" option adds classes of your own to each state, keyed by the state:
+// - open / closed:	A div.SubMenu that is open or closed.
+// - active:		The button.TopButton of the open div.SubMenu.
+// - selected:		The button.SubButton of a selected option.
+// - checked:		The button.TopButton of a setting that is switched on, e.g. of a boolean setting.
+// - error:			The span of a button.TopButton whose value could not be applied.
+//
+// A preset is a set of templates and state classes matching a CSS library, selected with the "preset" option: "bootstrap" (Bootstrap 5) or "materialize" (Materialize 1).
+// The templates and classes given to the constructor are used on top of the preset's. Presets of your own can be added to SettingsTemplateManager.presets.
 
 /**
  * @class SettingsTemplateManager
  * @classdesc The SettingsTemplateManager class is used to manage the templates used to generate the settings UI.
- * @note The SettingsTemplateManager class is not meant to be instantiated directly.
- * 
- * @param {SettingsManager} settingsManager - The settings manager instance that is using the templates.
- * @param {Object} templates - The templates to use for the settings UI.
- * @param {Object} templates.container - The container template to insert the settings UI into if specified, before it is inserted into the DOM.
- * @param {Object} templates.section - The section template to use for settings sections. Settings will be sorted into sections if specified on the setting's object.
- * @param {Object} templates.setting - The setting template to use for individual settings.
- * @param {Object} templates.settingButton - The button template to use for buttons for each individual setting.
- * @param {Object} templates.settingSubmenu - The submenu template to use for submenus for each individual setting.
- * @param {Object} templates.settingOption - The option template to use for each individual option in a submenu for each individual setting.
- * 
+ *
+ * @param {Object} templates - The templates to use for the settings UI, each a function or a tagged template created with SettingsTemplateManager.html.
+ * @param {Function} templates.container - The container template to insert the settings UI into, before it is inserted into the DOM.
+ * @param {Function} templates.section - The section template to use for settings sections. Settings will be sorted into sections if specified on the setting's object.
+ * @param {Function} templates.setting - The setting template to wrap the button and submenu of each individual setting with.
+ * @param {Function} templates.settingButton - The button template to use for buttons for each individual setting.
+ * @param {Function} templates.settingSubmenu - The submenu template to use for submenus for each individual setting.
+ * @param {Function} templates.settingOption - The option template to use for each individual option in a submenu for each individual setting.
+ * @param {Object} options - Optional. The options of the template manager.
+ * @param {String} options.preset - Optional. The name of the preset to use, one of the keys of SettingsTemplateManager.presets (e.g. "bootstrap" or "materialize").
+ * @param {Object} options.classes - Optional. The classes to add to each state of the elements, keyed by the state (see above), as a string or an array of strings.
+ *
  * @example
- * // Create a new SettingsTemplateManager instance.
- * var settingsTemplateManager = new SettingsTemplateManager(settingsManager, templateList);
+ * // Create a new SettingsTemplateManager instance and render the settings UI through it.
+ * var settingsTemplateManager = new SettingsTemplateManager({
+ * 	settingButton: SettingsTemplateManager.html`<button class="btn"><label>${(c) => c.label}</label><span>${(c) => c.display}</span></button>`,
+ * 	settingOption: (c) => `<button class="btn btn-option">${c.label}</button>`,
+ * });
+ * var settingsManager = new SettingsManager({settings: settingsList, container: "#settings", templates: settingsTemplateManager});
+ *
+ * // Render the settings UI with Bootstrap's markup, replacing the button of the settings with a template of your own.
+ * var bootstrapTemplateManager = new SettingsTemplateManager({settingButton: myButtonTemplate}, {preset: "bootstrap"});
  */
  class SettingsTemplateManager {
 	#templates = {};
+	#classes = {};
+
+	// The names of the templates SettingsManager renders the settings UI through.
+	static templateNames = ["container", "section", "setting", "settingButton", "settingSubmenu", "settingOption"];
+
+	// The placeholder the "content" of a template's context is rendered as, which is replaced with the nested elements.
+	static #slot = "<!--SettingsTemplateManager:content-->";
+
+	// The states of the elements the "classes" option can add classes to.
+	static stateNames = ["open", "closed", "active", "selected", "checked", "error"];
 
 	/**
 	 * @constructor
-	 * @param {SettingsManager} settingsManager - The settings manager instance that is using the templates.
-	 * @param {Object} templates - The templates to use for the settings UI.
-	 * @param {Object} templates.container - The container template to insert the settings UI into if specified, before it is inserted into the DOM.
-	 * @param {Object} templates.section - The section template to use for settings sections. Settings will be sorted into sections if specified on the setting's object.
-	 * @param {Object} templates.setting - The setting template to use for individual settings.
-	 * @param {Object} templates.settingButton - The button template to use for buttons for each individual setting.
-	 * @param {Object} templates.settingSubmenu - The submenu template to use for submenus for each individual setting.
-	 * @param {Object} templates.settingOption - The option template to use for each individual option in a submenu for each individual setting.
-	 * 
+	 * @param {Object} templates - The templates to use for the settings UI, see the class description.
+	 * @param {Object} options - Optional. The "preset" and the state "classes" to use, see the class description.
 	 * @returns {SettingsTemplateManager} The SettingsTemplateManager instance.
-	 */ 
-	constructor(settingsManager, templates = {}) {
-		this.settingsManager = settingsManager;
-		this.#templates = templates;
+	 */
+	constructor(templates = {}, options = {}) {
+		var preset = { templates: {}, classes: {} };
+		if (options.preset !== undefined) {
+			if (!Object.hasOwn(SettingsTemplateManager.presets, options.preset)) {
+				throw new Error(`Unknown preset "${options.preset}", expected one of ${Object.keys(SettingsTemplateManager.presets).join(", ")}.`);
+			}
+			preset = SettingsTemplateManager.presets[options.preset];
+		}
+
+		this.setTemplates(Object.assign({}, preset.templates, templates));
+		this.setStateClasses(preset.classes || {});
+		this.setStateClasses(options.classes || {});
 		return this;
 	}
 
-	init() {
-		this.#templates.container = this.#templates.container || {};
-		this.#templates.section = this.#templates.section || {};
-		this.#templates.setting = this.#templates.setting || {};
-		this.#templates.settingButton = this.#templates.settingButton || {};
-		this.#templates.settingSubmenu = this.#templates.settingSubmenu || {};
-		this.#templates.settingOption = this.#templates.settingOption || {};
+	// Tag for template literals, returning a template function that renders the literal with a given context.
+	// Interpolated functions are called with the context, arrays are joined and null, undefined and false are left out, so conditions and lists can be written inline.
+	/**
+	 * @method html - Create a template from a tagged template literal.
+	 * @param {String[]} strings - The strings of the template literal.
+	 * @param {...*} values - The interpolated values of the template literal.
+	 * @returns {Function} - The template, a function receiving the context and returning the HTML string.
+	 *
+	 * @example
+	 * var optionTemplate = SettingsTemplateManager.html`<button class="option${(c) => c.disabled && " disabled"}">${(c) => c.label}</button>`;
+	 */
+	static html(strings, ...values) {
+		var stringify = (value, context) => {
+			if (typeof value === "function") return stringify(value(context), context);
+			if (value instanceof Array) return value.map((item) => stringify(item, context)).join("");
+			if (value === undefined || value === null || value === false) return "";
+			return String(value);
+		};
+
+		return (context) => strings.reduce((html, string, i) => html + string + ((i < values.length) ? stringify(values[i], context) : ""), "");
+	}
+
+	/**
+	 * @method hasTemplate - Check whether a template is defined.
+	 * @param {String} templateName - The name of the template.
+	 * @returns {Boolean} True if the template is defined, false otherwise.
+	 */
+	hasTemplate(templateName) {
+		return typeof this.#templates[templateName] === "function";
 	}
 
 	getTemplate(templateName) {
 		return this.#templates[templateName];
 	}
-	
+
+	/**
+	 * @method setTemplate - Define or replace a template, or remove it by passing undefined.
+	 * @param {String} templateName - The name of the template, one of SettingsTemplateManager.templateNames.
+	 * @param {Function} template - The template, a function or a tagged template created with SettingsTemplateManager.html.
+	 */
 	setTemplate(templateName, template) {
-		this.#templates[templateName] = template;
+		if (!SettingsTemplateManager.templateNames.includes(templateName)) {
+			throw new Error(`Unknown template "${templateName}", expected one of ${SettingsTemplateManager.templateNames.join(", ")}.`);
+		}
+		if (template !== undefined && typeof template !== "function") {
+			throw new Error(`The template "${templateName}" must be a function or a tagged template created with SettingsTemplateManager.html.`);
+		}
+
+		if (template === undefined) {
+			delete this.#templates[templateName];
+		} else {
+			this.#templates[templateName] = template;
+		}
 	}
 
 	getTemplates() {
@@ -76,132 +156,236 @@
 	}
 
 	setTemplates(templates) {
-		this.#templates = templates;
-	}
-
-	getSettingsManager() {
-		return this.settingsManager;
+		this.#templates = {};
+		for (var templateName in templates) {
+			this.setTemplate(templateName, templates[templateName]);
+		}
 	}
 
-	setSettingsManager(settingsManager) {
-		this.settingsManager = settingsManager;
+	/**
+	 * @method getStateClasses - Get the classes added to a state of the elements.
+	 * @param {String} state - The state, one of SettingsTemplateManager.stateNames.
+	 * @returns {String[]} The classes.
+	 */
+	getStateClasses(state) {
+		return this.#classes[state] || [];
 	}
 
-
-	// TODO: Implement tagged templates for this class.
 	/**
-	 * @function generateHTML - Generates the HTML for an individual setting using a given template from the templatesList object.
-	 * @param {Object} setting - The setting to generate the HTML for.
-	 * @param {String} templateName - The name of the template to use for generating the HTML.
-	 * @param {Object} [template] - The template to use for generating the HTML.
-	 * 
-	 * @returns {String} The HTML for the setting.
+	 * @method setStateClasses - Add classes to states of the elements.
+	 * @param {Object} classes - The classes to add, keyed by the state (one of SettingsTemplateManager.stateNames), as a string or an array of strings.
 	 */
-	generateHTML(setting, templateName, template = {}) {
-		if (!templateName) {
-			throw new Error('No template name specified.');
-		}
-		if (!template) {
-			template = this.getTemplate(templateName);
-			
-			if (!template) {
-				throw new Error(`No template found for ${templateName}.`);
+	setStateClasses(classes) {
+		for (var state in classes) {
+			if (!SettingsTemplateManager.stateNames.includes(state)) {
+				throw new Error(`Unknown state "${state}", expected one of ${SettingsTemplateManager.stateNames.join(", ")}.`);
 			}
+			var stateClasses = (classes[state] instanceof Array) ? classes[state] : String(classes[state]).split(/\s+/);
+			this.#classes[state] = this.getStateClasses(state).concat(stateClasses.filter((className) => className !== "" && !this.getStateClasses(state).includes(className)));
 		}
+	}
 
-		let html = '';
-		let tmpl = {};
-		
-		if(template.properties['setting']) {
-			tmpl.setting = this.settingsManager.getSetting(setting.name); // TODO: setting.name is not the correct property to use here.
+	/**
+	 * @method render - Render a template with a given context.
+	 * @param {String} templateName - The name of the template to render.
+	 * @param {Object} context - The context to render the template with.
+	 * @returns {String|Node} The HTML string or DOM node returned by the template.
+	 */
+	render(templateName, context = {}) {
+		if (!this.hasTemplate(templateName)) {
+			throw new Error(`No template found for ${templateName}.`);
 		}
 
-		if(template.properties['option']) {
-			tmpl.option = this.settingsManager.getOption(setting.name, setting.option); // TODO: setting.name is not the correct property to use here. setting.option is not the correct property to use here.
-		}
+		return this.#templates[templateName](context);
+	}
 
-		html = template.html;
+	/**
+	 * @method renderString - Render a template into an HTML string, inserting the given content where the template placed its "content" and adding the given attributes to its root element.
+	 * @param {String} templateName - The name of the template to render.
+	 * @param {Object} context - The context to render the template with, without "content".
+	 * @param {String} content - Optional. The HTML of the nested elements.
+	 * @param {Object} attributes - Optional. The attributes to add to the root element, keyed by name. Classes are added to the element's classes, attributes with a value of undefined, null or false are left out.
+	 * @returns {String} The rendered HTML.
+	 */
+	renderString(templateName, context = {}, content = "", attributes = {}) {
+		var result = this.render(templateName, Object.assign({}, context, {content: SettingsTemplateManager.#slot}));
 
-    }
-		
-		
+		var html = result;
+		if (typeof Node !== "undefined" && result instanceof Node) {
+			var containerDOM = document.createElement("div");
+			containerDOM.appendChild(result);
+			html = containerDOM.innerHTML;
+		}
+		html = String(html).trim();
 
+		// Replace the placeholder of the content with the content, or insert the content before the closing tag of the root element if the template did not place it.
+		if (html.includes(SettingsTemplateManager.#slot)) {
+			html = html.replace(SettingsTemplateManager.#slot, () => content);
+		} else {
+			html = html.replace(/<\/[^>]+>$/, (closingTag) => content + closingTag);
+		}
 
+		return SettingsTemplateManager.#addAttributes(html, attributes);
+	}
 
-		
-}
+	/**
+	 * @method #addAttributes (private) - Add attributes to the root element of an HTML string.
+	 * @param {String} html - The HTML.
+	 * @param {Object} attributes - The attributes to add, keyed by name.
+	 * @returns {String} The HTML with the attributes added to its root element.
+	 */
+	static #addAttributes(html, attributes) {
+		var escape = (value) => String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
 
+		return html.replace(/^(<[a-zA-Z][\w-]*)([^>]*?)(\/?>)/, (tag, start, existing, end) => {
+			// Read the attributes of the root element, keeping their escaped values.
+			var merged = {};
+			existing.replace(/([^\s=\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g, (match, name, double, single, unquoted) => {
+				merged[name.toLowerCase()] = double ?? (single !== undefined ? single.replace(/"/g, "&quot;") : unquoted) ?? "";
+			});
 
+			for (var name in attributes) {
+				var value = attributes[name];
+				if (value === undefined || value === null || value === false) continue;
+				if (name === "class" && merged.class !== undefined) {
+					var classes = merged.class.split(/\s+/).filter((className) => className !== "");
+					merged.class = classes.concat(String(value).split(/\s+/).map(escape).filter((className) => className !== "" && !classes.includes(className))).join(" ");
+				} else {
+					merged[name] = (value === true) ? "" : escape(value);
+				}
+			}
 
-/**
- * @class SettingsTemplate
- * @classdesc A class that represents a template for the settings UI.
- * 
- * 
- */
-class SettingsTemplate {
-	constructor(){}
+			return start + Object.keys(merged).map((name) => (merged[name] === "") ? " " + name : " " + name + "=\"" + merged[name] + "\"").join("") + end;
+		});
+	}
 
 	/**
-	 * @method SettingsTemplate.getName
-	 * @returns {string} The name of the template. 
-	 */ 
-}
+	 * @method renderElement - Render a template into a DOM element, inserting the given content where the template placed its "content".
+	 * @param {String} templateName - The name of the template to render.
+	 * @param {Object} context - The context to render the template with, without "content".
+	 * @param {Node} content - Optional. The nested elements to insert into the rendered element.
+	 * @returns {HTMLElement} The rendered element.
+	 */
+	renderElement(templateName, context = {}, content = null) {
+		var result = this.render(templateName, Object.assign({}, context, {content: SettingsTemplateManager.#slot}));
 
-var templateList = {
-	container: {
-		properties: [
-		],
-		html: `
-			<div class="menu">
-				${tmpl.content.content}
-			</div>
-		`
-	},
-	section: {
-		html: undefined
-	},
-	setting: {
-		html: undefined
-	},
-	settingButton: {
-		properties: [
-			"setting",
-		],
-		html: `
-			<button class="TopButton" name="${(tmpl.setting.d.type !== 'cycle') ? setting.s + "Top" : setting.s}">
-				<label>${tmpl.setting.name}</label>
-				<span>${tmpl.setting.value}</span>
-			</button>
-		`
-	},
-	settingSubmenu: {
-		properties: [
-			"setting",
-		],
-		html: `
-			<div class="SubMenu" id="${tmpl.setting.s}" tabindex="-1">
-				${tmpl.content.options}
-			</div>
-		`
-	},
-	settingOption: {
-		properties: [
-			"setting",
-			"option",
-		],
-		html: `
-			<button class="SubButton" name="${tmpl.setting.s}" value="${tmpl.option.value}">
-				<b>${tmpl.option.name}</b>
-			</button>
-		`
-	}
-}
+		var fragment = result;
+		if (!(result instanceof Node)) {
+			var templateDOM = document.createElement("template");
+			templateDOM.innerHTML = String(result).trim();
+			fragment = templateDOM.content;
+		}
 
+		var element = fragment;
+		if (fragment instanceof DocumentFragment) {
+			if (fragment.childElementCount !== 1) {
+				throw new Error(`The template "${templateName}" must render a single root element, got ${fragment.childElementCount}.`);
+			}
+			element = fragment.firstElementChild;
+		}
 
+		// Replace the placeholder of the content with the content, or append the content to the element if the template did not place it.
+		var walker = document.createTreeWalker(element, NodeFilter.SHOW_COMMENT);
+		var slot = null;
+		while (walker.nextNode()) {
+			if ("<!--" + walker.currentNode.data + "-->" === SettingsTemplateManager.#slot) {
+				slot = walker.currentNode;
+				break;
+			}
+		}
 
+		if (slot !== null) {
+			if (content !== null) {
+				slot.parentNode.insertBefore(content, slot);
+			}
+			slot.remove();
+		} else if (content !== null) {
+			element.appendChild(content);
+		}
 
+		return element;
+	}
 
+	// Whether a setting's options are few enough to be shown side by side as a button group instead of as a menu, e.g. "Light", "Dark" and "System".
+	/**
+	 * @method #isButtonGroup (private) - Check whether the options of a setting are rendered as a button group by the presets.
+	 * @param {Object} object - The setting object.
+	 * @returns {Boolean} True if the setting is a "submenu" or "multiselect" setting with at most 4 options, false otherwise.
+	 */
+	static #isButtonGroup(object) {
+		return (object.type === "submenu" || object.type === "multiselect") && typeof object.options === "object" && object.options !== null && Object.keys(object.options).length <= 4;
+	}
 
+	// The presets selectable with the "preset" option, each with the templates and state classes matching a CSS library.
+	// Their templates only render the elements SettingsManager has templates for, the inputs inside a div.SubMenu (e.g. of a range or text setting) keep the built-in markup.
+	static presets = {
+		// Bootstrap 5: the settings are buttons opening a static dropdown menu with the options as dropdown items, or a button group when they have at most 4 options.
+		// Boolean settings are form switches and the sections are cards.
+		bootstrap: {
+			templates: {
+				container: SettingsTemplateManager.html`<div class="vstack gap-2">${(c) => c.content}</div>`,
+				section: SettingsTemplateManager.html`<div class="card">
+					<button type="button" class="SectionButton card-header btn btn-light text-start fw-semibold"><label>${(c) => c.label}</label></button>
+					<div class="SectionContent card-body vstack gap-2">${(c) => c.description !== undefined && `<p class="SectionDescription card-text text-body-secondary">${c.description}</p>`}${(c) => c.content}</div>
+				</div>`,
+				setting: SettingsTemplateManager.html`<div class="${(c) => c.subMenu ? "dropdown" : "d-grid"}">${(c) => c.content}</div>`,
+				settingButton: (c) => (c.type === "boolean") ? SettingsTemplateManager.html`<button type="button" class="btn form-check form-switch w-100 d-flex align-items-center gap-2 m-0 ps-2 text-start">
+					<input type="checkbox" class="form-check-input pe-none m-0" tabindex="-1" aria-hidden="true"${(c) => c.value === "true" && " checked"}>
+					<label class="form-check-label flex-grow-1">${(c) => c.label}</label><span class="text-body-secondary">${(c) => c.display}</span>
+				</button>`(c) : SettingsTemplateManager.html`<button type="button" class="btn ${(c) => c.computed ? "btn-light" : "btn-outline-secondary"}${(c) => c.subMenu && " dropdown-toggle"} w-100 d-flex justify-content-between align-items-center gap-2 text-start">
+					<label>${(c) => c.label}</label><span>${(c) => c.display}</span>
+				</button>`(c),
+				settingSubmenu: (c) => SettingsTemplateManager.#isButtonGroup(c.object)
+					? `<div class="btn-group w-100 mt-1">${c.content}</div>`
+					: `<div class="dropdown-menu position-static w-100 p-2">${c.content}</div>`,
+				settingOption: (c) => SettingsTemplateManager.#isButtonGroup(c.object)
+					? `<button type="button" class="btn btn-outline-primary${c.disabled ? " disabled" : ""}">${c.label}</button>`
+					: `<button type="button" class="dropdown-item rounded${c.disabled ? " disabled" : ""}">${c.label}</button>`,
+			},
+			classes: {
+				open: "show",
+				closed: "d-none",
+				selected: "active",
+				error: "text-danger",
+			},
+		},
+		// Materialize 1: the settings are flat buttons in a collection, opening a collection of the options, or a row of buttons when they have at most 4 options.
+		// Boolean settings are switches and the sections are cards.
+		materialize: {
+			templates: {
+				container: SettingsTemplateManager.html`<div class="collection">${(c) => c.content}</div>`,
+				section: SettingsTemplateManager.html`<div class="card">
+					<div class="card-content">
+						<button type="button" class="SectionButton btn-flat waves-effect card-title"><label>${(c) => c.label}</label></button>
+						<div class="SectionContent collection">${(c) => c.description !== undefined && `<p class="SectionDescription collection-item grey-text">${c.description}</p>`}${(c) => c.content}</div>
+					</div>
+				</div>`,
+				setting: SettingsTemplateManager.html`<div class="collection-item">${(c) => c.content}</div>`,
+				// The span showing the value comes before the switch, as the lever of the switch is a span as well.
+				// The label of the switch has an empty "for" attribute, so clicking it does not click the checkbox as well and switch the setting a second time.
+				settingButton: (c) => (c.type === "boolean") ? SettingsTemplateManager.html`<button type="button" class="switch btn-flat waves-effect left-align">
+					<span class="secondary-content">${(c) => c.display}</span>
+					<label for="">${(c) => c.label} <input type="checkbox" tabindex="-1" aria-hidden="true"${(c) => c.value === "true" && " checked"}><span class="lever"></span></label>
+				</button>`(c) : SettingsTemplateManager.html`<button type="button" class="btn-flat waves-effect left-align${(c) => c.computed && " grey lighten-4"}">
+					<label>${(c) => c.label}</label> <span class="secondary-content">${(c) => c.display}</span>
+				</button>`(c),
+				settingSubmenu: (c) => SettingsTemplateManager.#isButtonGroup(c.object)
+					? `<div>${c.content}</div>`
+					: `<div class="collection">${c.content}</div>`,
+				settingOption: (c) => SettingsTemplateManager.#isButtonGroup(c.object)
+					? `<button type="button" class="btn-flat waves-effect${c.disabled ? " disabled" : ""}">${c.label}</button>`
+					: `<button type="button" class="collection-item btn-flat left-align${c.disabled ? " disabled" : ""}">${c.label}</button>`,
+			},
+			classes: {
+				closed: "hide",
+				selected: ["active", "teal", "white-text"],
+				error: "red-text",
+			},
+		},
+	};
+}
 
-	
\ No newline at end of file
+// Export the class in CommonJS environments (e.g. to render the settings UI on a server with SettingsManager.renderToString), in the browser it is a global.
+if (typeof module !== "undefined" && module.exports) {
+	module.exports = { SettingsTemplateManager };
+}